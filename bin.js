@@ -10,11 +10,45 @@ import {
   signCredential,
   verifyCredential,
   deriveProof,
+  createPresentation,
+  signPresentation,
+  verifyPresentation,
   preprocessBBSVerification,
   preprocessEd25519Verification,
   collectDocuments,
-  getDocumentLoaderContent
+  createStatusList,
+  updateStatusList,
+  allocateStatusListEntry,
+  getDocumentLoaderContent,
+  getContextPins,
+  bundleContexts,
+  prefetchContexts,
+  listCacheEntries,
+  verifyCacheEntries,
+  pruneCache,
+  clearCache,
+  getKeyType,
+  didWebDocumentPath,
+  exitCodeForReport,
+  decryptPrivateKeys,
+  encryptPrivateKeys,
+  isEncryptedKeystore,
+  createCommandSigner,
+  KEY_TYPES,
+  addVerificationMethod,
+  rotateVerificationMethod,
+  revokeVerificationMethod,
+  importVerificationMethod,
+  toMultikeyCid,
+  exportKey,
+  KEY_FORMATS,
+  VERIFICATION_RELATIONSHIPS,
+  deriveSeedUuid,
+  listDisclosablePointers,
+  validateCredentialSchema,
+  validateShacl
 } from './index.js';
+import { withSeededRandomness } from './lib/seed.js';
 
 // Get the directory path of the current file
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -22,35 +56,281 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // Read package.json to get version
 const packageJson = JSON.parse(await fs.readFile(path.join(__dirname, 'package.json'), 'utf8'));
 
+// Print a verification report as JSON or as a human readable summary
+function printVerificationReport(report, format, subject) {
+  if (format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else if (report.verified) {
+    console.log(`${subject} verified successfully!`);
+  } else {
+    console.error(`${subject} verification failed`);
+    for (const error of report.errors) {
+      console.error(`  [${error.code}] ${error.message}`);
+    }
+  }
+  if (format !== 'json' && report.validity) {
+    const { validFrom, validUntil, checkedAt } = report.validity;
+    console.log(`  Validity period: ${validFrom ?? 'any time'} to ${validUntil ?? 'any time'}, checked at ${checkedAt}`);
+  }
+}
+
+// Read a credential secured with an embedded proof (JSON) or an envelope (JWT, SD-JWT or COSE_Sign1)
+async function readCredential(filePath) {
+  const content = await fs.readFile(filePath);
+  // 0xd2 is the CBOR tag of a COSE_Sign1 message
+  if (content[0] === 0xd2) {
+    return new Uint8Array(content);
+  }
+  const text = content.toString('utf8').trim();
+  if (/^[\w-]+\.[\w-]+\.[\w-]+(~[\w-]*)*$/.test(text)) {
+    return text;
+  }
+  return JSON.parse(text);
+}
+
+// Enveloped credentials are written in their compact or binary form
+const serializeCredential = (credential) => (
+  typeof credential === 'string' || credential instanceof Uint8Array ? credential : JSON.stringify(credential, null, 2)
+);
+
+// Allocated status list indexes are tracked in a file next to the status list credential
+const statusListAllocationsPath = (statusListPath) => `${statusListPath}.allocations.json`;
+
+async function readStatusListAllocations(statusListPath) {
+  try {
+    return JSON.parse(await fs.readFile(statusListAllocationsPath(statusListPath), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Get the keystore passphrase from the environment variable named by --passphrase-env
+function getPassphrase(options, keysPath) {
+  if (!options.passphraseEnv) {
+    throw new Error(`${keysPath} is an encrypted keystore; name the environment variable holding its passphrase with --passphrase-env`);
+  }
+  const passphrase = process.env[options.passphraseEnv];
+  if (!passphrase) {
+    throw new Error(`Environment variable ${options.passphraseEnv} is not set`);
+  }
+  return passphrase;
+}
+
+// Read a private keys file, decrypting it if it is an encrypted keystore
+async function readPrivateKeys(keysPath, options) {
+  const content = JSON.parse(await fs.readFile(keysPath, 'utf8'));
+  return isEncryptedKeystore(content)
+    ? decryptPrivateKeys(content, getPassphrase(options, keysPath))
+    : content;
+}
+
+// Read a private keys file that new keys will be added to, or undefined if there is none yet
+async function readExistingPrivateKeys(keysPath, options) {
+  try {
+    return await readPrivateKeys(keysPath, options);
+  } catch (error) {
+    // If file doesn't exist or is invalid JSON, create new file; a keystore
+    // that cannot be decrypted must not be overwritten
+    if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) {
+      throw error;
+    }
+    return undefined;
+  }
+}
+
+// Write a private keys file, encrypting it when --passphrase-env is given
+async function writePrivateKeys(keysPath, privateKeys, options) {
+  const content = options.passphraseEnv
+    ? await encryptPrivateKeys(privateKeys, getPassphrase(options, keysPath))
+    : privateKeys;
+  await fs.writeFile(keysPath, JSON.stringify(content, null, 2), { mode: 0o600 });
+}
+
+// Get the private keys or external signer to sign with
+async function getSigningOptions(options) {
+  if (options.signerCommand) {
+    return { signer: createCommandSigner(options.signerCommand, { keyId: options.keyId }) };
+  }
+  if (!options.keys) {
+    throw new Error('Either --keys or --signer-command must be provided');
+  }
+  return { privateKeys: await readPrivateKeys(options.keys, options) };
+}
+
+// Get the document loader content, offline mode and context pins to process JSON-LD with
+async function getDocumentLoaderOptions(options) {
+  return {
+    documentLoaderContent: await getDocumentLoaderContent(options),
+    contextPins: await getContextPins(options),
+    offline: options.offline
+  };
+}
+
+// Get the mandatory pointers and policy to sign selective disclosure proofs with
+async function getMandatoryOptions(options) {
+  return {
+    mandatoryPointers: options.mandatory?.split(',').map(pointer => pointer.trim()),
+    mandatoryPolicy: options.mandatoryPolicy ? JSON.parse(await fs.readFile(options.mandatoryPolicy, 'utf8')) : undefined
+  };
+}
+
+// Get the moment to verify as of and the clock skew to tolerate, in milliseconds
+function getVerificationTimeOptions(options) {
+  const clockSkew = Number(options.clockSkew);
+  if (!Number.isFinite(clockSkew) || clockSkew < 0) {
+    throw new Error(`--clock-skew must be a non-negative number of seconds, got ${options.clockSkew}`);
+  }
+  return {
+    at: options.at && parseDateOption(options.at, '--at'),
+    clockSkew: clockSkew * 1000
+  };
+}
+
+// Parse a date option, defaulting to now
+function parseDateOption(value, name) {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date, got ${value}`);
+  }
+  return date;
+}
+
+// Write an updated CID document and add any new private keys to the keys file
+async function saveCidUpdate(options, cid, privateKeys = {}) {
+  const outputPath = options.output || options.cid;
+  await fs.writeFile(outputPath, JSON.stringify(cid, null, 2));
+  console.log(`CID document saved to: ${outputPath}`);
+  if (Object.keys(privateKeys).length > 0) {
+    const existingKeys = await readExistingPrivateKeys(options.keys, options);
+    await writePrivateKeys(options.keys, { ...existingKeys, ...privateKeys }, options);
+    console.log(`Private keys ${existingKeys ? 'appended to' : 'saved to'}: ${options.keys}`);
+  }
+}
+
+// Set or clear a status in a status list, either by index or from a credential's status entry
+async function updateStatusAction(options, statusPurpose, status) {
+  try {
+    // Read the CID document
+    const cidContent = await fs.readFile(options.cid, 'utf8');
+    const cid = JSON.parse(cidContent);
+
+    // Read the private keys, or use the external signer
+    const signingOptions = await getSigningOptions(options);
+
+    // Read the status list credential
+    const statusListContent = await fs.readFile(options.statusList, 'utf8');
+    const statusListCredential = JSON.parse(statusListContent);
+
+    if (statusListCredential.credentialSubject.statusPurpose !== statusPurpose) {
+      throw new Error(`${options.statusList} is a ${statusListCredential.credentialSubject.statusPurpose} status list, not a ${statusPurpose} status list`);
+    }
+
+    let index;
+    if (options.index !== undefined) {
+      index = parseInt(options.index, 10);
+    } else if (options.document) {
+      const documentContent = await fs.readFile(options.document, 'utf8');
+      const document = JSON.parse(documentContent);
+      const entry = [].concat(document.credentialStatus || []).find(e =>
+        e.statusListCredential === statusListCredential.id && e.statusPurpose === statusPurpose
+      );
+      if (!entry) {
+        throw new Error(`${options.document} has no ${statusPurpose} entry in status list ${statusListCredential.id}`);
+      }
+      index = parseInt(entry.statusListIndex, 10);
+    } else {
+      throw new Error('Either --document or --index must be provided');
+    }
+
+    const updatedStatusList = await updateStatusList({
+      cid,
+      ...signingOptions,
+      keyId: options.keyId,
+      statusListCredential,
+      index,
+      status,
+      ...await getDocumentLoaderOptions(options)
+    });
+
+    const outputPath = options.output || options.statusList;
+    await fs.writeFile(outputPath, JSON.stringify(updatedStatusList, null, 2));
+    console.log(`Status index ${index} ${status ? 'set' : 'cleared'} in ${statusPurpose} status list saved to: ${outputPath}`);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
 program
   .name('vc-cli')
   .description('CLI utility for generating CIDs and issuing verifiable credentials')
   .version(packageJson.version);
 
+// Keys chosen per verification relationship; once any is chosen, the relationships not chosen are left empty
+function getRelationshipOptions(options) {
+  const chosen = {
+    authentication: options.authentication,
+    assertionMethod: options.assertion,
+    capabilityInvocation: options.capabilityInvocation,
+    capabilityDelegation: options.capabilityDelegation
+  };
+  if (Object.values(chosen).every(keys => keys === undefined)) {
+    return undefined;
+  }
+  return Object.fromEntries(Object.entries(chosen)
+    .filter(([, keys]) => keys !== undefined)
+    .map(([relationship, keys]) => [relationship, keys.split(',').map(key => key.trim())]));
+}
+
 program
   .command('generate-cid')
   .description('Generate a new CID document')
-  .requiredOption('-c, --controller <controller>', 'Controller DID')
-  .option('-o, --output <path>', 'Output path for CID document (file or directory)')
+  .option('-c, --controller <controller>', 'Controller DID (not used with --method did:key)')
+  .option('--method <method>', 'Create a resolvable identifier with a DID method, did:key or did:web (optional)')
+  .option('-o, --output <path>', 'Output path for CID document (file or directory; for did:web, the root directory of the website)')
   .option('-k, --keys <path>', 'Path to save private keys JSON file')
+  .option('--passphrase-env <name>', 'Environment variable holding a passphrase to save the private keys as an encrypted keystore (optional)')
   .option('--no-ed25519', 'Exclude Ed25519 signature type')
   .option('--no-bbs', 'Exclude BBS+ signature type')
-  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses')
+  .option('--ecdsa-p256', 'Include an ECDSA P-256 key (ecdsa-rdfc-2019 and ecdsa-sd-2023)')
+  .option('--ecdsa-p384', 'Include an ECDSA P-384 key (ecdsa-rdfc-2019)')
+  .option('--public-key-jwk', 'Express the public keys as JsonWebKey verification methods with publicKeyJwk, instead of Multikeys')
+  .option('--seed <seed>', 'Derive the keys from a seed, so that the same keys are generated every time (for test fixtures only)')
+  .option('--authentication <keys>', 'Comma-separated keys to authorize for authentication, e.g. key-1 (optional)')
+  .option('--assertion <keys>', 'Comma-separated keys to authorize for assertionMethod, e.g. key-2 (optional)')
+  .option('--capability-invocation <keys>', 'Comma-separated keys to authorize for capabilityInvocation (optional)')
+  .option('--capability-delegation <keys>', 'Comma-separated keys to authorize for capabilityDelegation (optional)')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
   .action(async (options) => {
     try {
       const { cid, privateKeys } = await generateCIDDocument(options.controller, {
+        method: options.method,
         includeEd25519: options.ed25519,
-        includeBBS: options.bbs
+        includeBBS: options.bbs,
+        includeEcdsaP256: options.ecdsaP256 === true,
+        includeEcdsaP384: options.ecdsaP384 === true,
+        publicKeyJwk: options.publicKeyJwk === true,
+        relationships: getRelationshipOptions(options),
+        seed: options.seed
       });
 
+      // Read any existing private keys first, so that nothing is written if they cannot be decrypted
+      const existingKeys = options.keys && await readExistingPrivateKeys(options.keys, options);
+
       // Handle CID document output
       if (options.output) {
-        let outputPath = options.output;
+        // A did:web document is written where it will be hosted, relative to the website root
+        let outputPath = options.method === 'did:web'
+          ? path.join(options.output, ...didWebDocumentPath(cid.id).split('/'))
+          : options.output;
         try {
           const stats = await fs.stat(outputPath);
           if (stats.isDirectory()) {
             // If it's a directory, create a file named after the encoded controller
-            const encodedController = encodeURIComponent(options.controller);
+            const encodedController = encodeURIComponent(cid.id);
             outputPath = path.join(outputPath, `${encodedController}.jsonld`);
           }
         } catch (error) {
@@ -68,17 +348,12 @@ program
 
       // Handle private keys output
       if (options.keys) {
-        try {
-          // Check if file exists
-          const existingContent = await fs.readFile(options.keys, 'utf8');
-          const existingKeys = JSON.parse(existingContent);
+        if (existingKeys) {
           // Merge existing keys with new keys
-          const mergedKeys = { ...existingKeys, ...privateKeys };
-          await fs.writeFile(options.keys, JSON.stringify(mergedKeys, null, 2));
+          await writePrivateKeys(options.keys, { ...existingKeys, ...privateKeys }, options);
           console.log(`Private keys appended to: ${options.keys}`);
-        } catch (error) {
-          // If file doesn't exist or is invalid JSON, create new file
-          await fs.writeFile(options.keys, JSON.stringify(privateKeys, null, 2));
+        } else {
+          await writePrivateKeys(options.keys, privateKeys, options);
           console.log(`Private keys saved to: ${options.keys}`);
         }
       } else {
@@ -95,40 +370,72 @@ program
   .command('sign-credential')
   .description('Sign a verifiable credential using a CID document and private keys')
   .requiredOption('-c, --cid <path>', 'Path to CID document')
-  .requiredOption('-k, --keys <path>', 'Path to private keys JSON file')
+  .option('-k, --keys <path>', 'Path to private keys JSON file (required unless --signer-command is given)')
+  .option('--passphrase-env <name>', 'Environment variable holding the passphrase of an encrypted keystore (optional)')
+  .option('--signer-command <cmd>', 'External signer command, e.g. a KMS client, that reads the bytes to sign on stdin and writes the signature to stdout (instead of --keys)')
   .requiredOption('-d, --document <path>', 'Path to JSON-LD document to sign')
   .requiredOption('-i, --key-id <id>', 'ID of the key to use for signing')
   .requiredOption('-o, --output <path>', 'Output path for signed credential')
   .option('--credential-id <id>', 'ID for the credential (optional)')
   .option('--subject-id <id>', 'ID for the credential subject (optional)')
-  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses')
+  .option('--status-list <paths>', 'Comma-separated list of status list credential paths to allocate a status entry in (optional)')
+  .option('--envelope <type>', 'Secure the credential with a VC-JOSE-COSE envelope (jwt, sd-jwt or cose) instead of an embedded proof')
+  .option('--cryptosuite <name>', 'Suite to sign with: Ed25519Signature2020 (default), eddsa-rdfc-2022 or eddsa-jcs-2022 for Ed25519 keys; ecdsa-rdfc-2019 (default) for ECDSA keys or ecdsa-sd-2023 for P-256 keys; BBS keys always use bbs-2023')
+  .option('--created <date>', 'Creation time of the proof [default: now]')
+  .option('--mandatory <pointers>', 'Comma-separated list of JSON pointers that every proof derived from a bbs-2023 or ecdsa-sd-2023 proof reveals, in addition to the policy\'s')
+  .option('--mandatory-policy <path>', 'Path to JSON file of mandatory pointers by credential type, replacing the default policy')
+  .option('--shacl-shapes <path>', 'Path to Turtle file of SHACL shapes the credential must conform to before it is signed')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
   .action(async (options) => {
     try {
       // Read the CID document
       const cidContent = await fs.readFile(options.cid, 'utf8');
       const cid = JSON.parse(cidContent);
 
-      // Read the private keys
-      const keysContent = await fs.readFile(options.keys, 'utf8');
-      const privateKeys = JSON.parse(keysContent);
+      // Read the private keys, or use the external signer
+      const signingOptions = await getSigningOptions(options);
 
       // Read the document to sign
       const documentContent = await fs.readFile(options.document, 'utf8');
       const document = JSON.parse(documentContent);
 
+      // Allocate an entry in each status list, tracking allocations next to the list
+      const statusAllocations = [];
+      if (options.statusList) {
+        for (const statusListPath of options.statusList.split(',').map(p => p.trim())) {
+          const statusListCredential = JSON.parse(await fs.readFile(statusListPath, 'utf8'));
+          const allocated = await readStatusListAllocations(statusListPath);
+          const entry = allocateStatusListEntry(statusListCredential, allocated);
+          statusAllocations.push({ statusListPath, allocated: [...allocated, Number(entry.statusListIndex)], entry });
+        }
+      }
+
       const signedVC = await signCredential({
         cid,
-        privateKeys,
+        ...signingOptions,
         document,
         keyId: options.keyId,
         credentialId: options.credentialId,
         subjectId: options.subjectId,
-        documentLoaderContent: await getDocumentLoaderContent(options)
+        credentialStatus: statusAllocations.length > 0 ? statusAllocations.map(a => a.entry) : undefined,
+        cryptosuite: options.cryptosuite,
+        envelope: options.envelope,
+        created: options.created && parseDateOption(options.created, '--created'),
+        ...await getMandatoryOptions(options),
+        shaclShapes: options.shaclShapes && await fs.readFile(options.shaclShapes, 'utf8'),
+        ...await getDocumentLoaderOptions(options)
       });
 
       // Write the signed credential to the output file
-      await fs.writeFile(options.output, JSON.stringify(signedVC, null, 2));
+      await fs.writeFile(options.output, serializeCredential(signedVC));
       console.log(`Signed credential saved to: ${options.output}`);
+
+      for (const { statusListPath, allocated, entry } of statusAllocations) {
+        await fs.writeFile(statusListAllocationsPath(statusListPath), JSON.stringify(allocated, null, 2));
+        console.log(`Allocated ${entry.statusPurpose} status index ${entry.statusListIndex} in: ${statusListPath}`);
+      }
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -138,26 +445,218 @@ program
 program
   .command('verify-credential')
   .description('Verify a verifiable credential using a CID document')
+  .option('-c, --cid <path>', 'Path to CID document (optional, defaults to resolving the issuer DID)')
+  .requiredOption('-d, --document <path>', 'Path to verifiable credential to verify (JSON-LD, JWT, SD-JWT or COSE)')
+  .option('--format <format>', 'Output format for the verification report (text or json)', 'text')
+  .option('--presentation-header <header>', 'Presentation header a derived BBS proof must be bound to (optional)')
+  .option('--nonce <nonce>', 'Nonce a derived BBS proof must be bound to (optional)')
+  .option('--at <datetime>', 'Verify as of this moment instead of now, e.g. 2025-06-01T00:00:00Z')
+  .option('--clock-skew <seconds>', 'Seconds of clock skew to tolerate at either end of the validity period', '0')
+  .option('--did-web-root <path>', 'Directory to resolve did:web documents from instead of fetching them')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
+  .action(async (options) => {
+    try {
+      // Read the CID document
+      const cid = options.cid ? JSON.parse(await fs.readFile(options.cid, 'utf8')) : undefined;
+
+      // Read the verifiable credential
+      const document = await readCredential(options.document);
+
+      const report = await verifyCredential({
+        cid,
+        document,
+        presentationHeader: options.presentationHeader,
+        nonce: options.nonce,
+        ...getVerificationTimeOptions(options),
+        didWebRoot: options.didWebRoot,
+        ...await getDocumentLoaderOptions(options)
+      });
+
+      printVerificationReport(report, options.format, 'Credential');
+      process.exit(exitCodeForReport(report));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('validate-schema')
+  .description('Validate a credential against its credentialSchema, or against a given JSON Schema')
+  .requiredOption('-d, --document <path>', 'Path to credential to validate (JSON-LD, JWT, SD-JWT or COSE)')
+  .option('-s, --schema <path>', 'Path to JSON Schema or JsonSchemaCredential to validate against instead of the credential\'s credentialSchema')
+  .option('--format <format>', 'Output format (text or json)', 'text')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
+  .action(async (options) => {
+    try {
+      const document = await readCredential(options.document);
+      const schema = options.schema ? JSON.parse(await fs.readFile(options.schema, 'utf8')) : undefined;
+
+      const result = await validateCredentialSchema({ document, schema, ...await getDocumentLoaderOptions(options) });
+      if (!result.present) {
+        throw new Error('Credential has no credentialSchema; give a schema with --schema');
+      }
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        for (const { id, valid, errors } of result.results) {
+          console.log(valid ? `✓ Matches ${id ?? 'the schema'}` : `✗ Does not match ${id ?? 'the schema'}`);
+          for (const error of errors) {
+            console.log(`  ${error}`);
+          }
+        }
+      }
+      process.exit(result.valid ? 0 : 1);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('validate-shacl')
+  .description('Validate credentials against SHACL shapes, excluding their proofs as collect does')
+  .requiredOption('--shapes <path>', 'Path to Turtle file of SHACL shapes')
+  .requiredOption('-d, --document <path>', 'Path to credential (JSON-LD, JWT, SD-JWT or COSE), or to a directory of JSON-LD credentials to validate together')
+  .option('--format <format>', 'Report format (turtle or json)', 'turtle')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
+  .action(async (options) => {
+    try {
+      if (!['turtle', 'json'].includes(options.format)) {
+        throw new Error(`Unsupported report format ${options.format}; use turtle or json`);
+      }
+
+      // Read a single credential, or every JSON-LD credential in a directory as collect does
+      let files = [options.document];
+      if ((await fs.stat(options.document)).isDirectory()) {
+        files = (await fs.readdir(options.document, { recursive: true }))
+          .filter(file => file.endsWith('.jsonld') && !file.includes('-cid.jsonld'))
+          .map(file => path.join(options.document, file));
+        if (files.length === 0) {
+          throw new Error('No JSON-LD files found in the specified directory');
+        }
+      }
+      const documents = await Promise.all(files.map(file => readCredential(file)));
+
+      const result = await validateShacl({
+        documents,
+        shapes: await fs.readFile(options.shapes, 'utf8'),
+        ...await getDocumentLoaderOptions(options)
+      });
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify({ conforms: result.conforms, results: result.results }, null, 2));
+      } else {
+        console.log(result.turtle);
+      }
+      process.exit(result.conforms ? 0 : 1);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('create-status-list')
+  .description('Issue a signed BitstringStatusListCredential with every status unset')
   .requiredOption('-c, --cid <path>', 'Path to CID document')
-  .requiredOption('-d, --document <path>', 'Path to verifiable credential to verify')
-  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses')
+  .option('-k, --keys <path>', 'Path to private keys JSON file (required unless --signer-command is given)')
+  .option('--passphrase-env <name>', 'Environment variable holding the passphrase of an encrypted keystore (optional)')
+  .option('--signer-command <cmd>', 'External signer command, e.g. a KMS client, that reads the bytes to sign on stdin and writes the signature to stdout (instead of --keys)')
+  .requiredOption('-i, --key-id <id>', 'ID of the key to use for signing (must not be a BBS key)')
+  .requiredOption('--id <url>', 'URL at which the status list credential will be published')
+  .requiredOption('-o, --output <path>', 'Output path for status list credential')
+  .option('--purpose <purpose>', 'Status purpose (revocation or suspension)', 'revocation')
+  .option('--length <length>', 'Number of entries in the status list', '131072')
+  .option('--created <date>', 'Creation time of the proof, which the list is also valid from [default: now]')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
   .action(async (options) => {
     try {
       // Read the CID document
       const cidContent = await fs.readFile(options.cid, 'utf8');
       const cid = JSON.parse(cidContent);
 
-      // Read the verifiable credential
-      const documentContent = await fs.readFile(options.document, 'utf8');
-      const document = JSON.parse(documentContent);
+      // Read the private keys, or use the external signer
+      const signingOptions = await getSigningOptions(options);
 
-      const isValid = await verifyCredential({ cid, document, documentLoaderContent: await getDocumentLoaderContent(options) });
+      const statusListCredential = await createStatusList({
+        cid,
+        ...signingOptions,
+        keyId: options.keyId,
+        statusListId: options.id,
+        statusPurpose: options.purpose,
+        length: parseInt(options.length, 10),
+        created: options.created && parseDateOption(options.created, '--created'),
+        ...await getDocumentLoaderOptions(options)
+      });
 
-      if (isValid) {
-        console.log('Credential verified successfully!');
+      // Write the status list credential to the output file
+      await fs.writeFile(options.output, JSON.stringify(statusListCredential, null, 2));
+      console.log(`Status list credential saved to: ${options.output}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('revoke')
+  .description('Revoke a credential by setting its bit in a revocation status list and re-signing the list')
+  .requiredOption('-l, --status-list <path>', 'Path to revocation status list credential')
+  .requiredOption('-c, --cid <path>', 'Path to CID document')
+  .option('-k, --keys <path>', 'Path to private keys JSON file (required unless --signer-command is given)')
+  .option('--passphrase-env <name>', 'Environment variable holding the passphrase of an encrypted keystore (optional)')
+  .option('--signer-command <cmd>', 'External signer command, e.g. a KMS client, that reads the bytes to sign on stdin and writes the signature to stdout (instead of --keys)')
+  .requiredOption('-i, --key-id <id>', 'ID of the key to use for re-signing the status list')
+  .option('-d, --document <path>', 'Path to the credential to revoke')
+  .option('--index <index>', 'Status list index to revoke (instead of --document)')
+  .option('-o, --output <path>', 'Output path for the updated status list credential [default: overwrite --status-list]')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
+  .action((options) => updateStatusAction(options, 'revocation', true));
+
+program
+  .command('suspend')
+  .description('Suspend (or reinstate) a credential by updating its bit in a suspension status list and re-signing the list')
+  .requiredOption('-l, --status-list <path>', 'Path to suspension status list credential')
+  .requiredOption('-c, --cid <path>', 'Path to CID document')
+  .option('-k, --keys <path>', 'Path to private keys JSON file (required unless --signer-command is given)')
+  .option('--passphrase-env <name>', 'Environment variable holding the passphrase of an encrypted keystore (optional)')
+  .option('--signer-command <cmd>', 'External signer command, e.g. a KMS client, that reads the bytes to sign on stdin and writes the signature to stdout (instead of --keys)')
+  .requiredOption('-i, --key-id <id>', 'ID of the key to use for re-signing the status list')
+  .option('-d, --document <path>', 'Path to the credential to suspend')
+  .option('--index <index>', 'Status list index to suspend (instead of --document)')
+  .option('--reinstate', 'Clear the suspension instead of setting it')
+  .option('-o, --output <path>', 'Output path for the updated status list credential [default: overwrite --status-list]')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
+  .action((options) => updateStatusAction(options, 'suspension', !options.reinstate));
+
+program
+  .command('list-pointers')
+  .description('List the JSON pointers derive-proof can reveal from a bbs-2023 or ecdsa-sd-2023 signed document or SD-JWT, marking those always revealed')
+  .requiredOption('-d, --document <path>', 'Path to signed bbs-2023 or ecdsa-sd-2023 document, or SD-JWT')
+  .option('--format <format>', 'Output format (text or json)', 'text')
+  .action(async (options) => {
+    try {
+      const pointers = listDisclosablePointers(await readCredential(options.document));
+      if (options.format === 'json') {
+        console.log(JSON.stringify(pointers, null, 2));
       } else {
-        console.error('Credential verification failed');
-        process.exit(1);
+        for (const { pointer, mandatory } of pointers) {
+          console.log(mandatory ? `${pointer} (mandatory)` : pointer);
+        }
       }
     } catch (error) {
       console.error('Error:', error.message);
@@ -167,28 +666,38 @@ program
 
 program
   .command('derive-proof')
-  .description('Create a derived BBS proof from a signed input BBS document')
-  .requiredOption('-d, --document <path>', 'Path to signed BBS document')
-  .requiredOption('-r, --reveal <pointers>', 'Comma-separated list of JSON pointers to reveal (e.g. /credentialSubject/name,/credentialSubject/age)')
+  .description('Create a derived BBS or ECDSA-SD proof from a signed input document, or select the disclosures of an SD-JWT')
+  .requiredOption('-d, --document <path>', 'Path to signed bbs-2023 or ecdsa-sd-2023 document, or SD-JWT')
+  .option('-r, --reveal <pointers>', 'Comma-separated list of JSON pointers to reveal (e.g. /credentialSubject/name,/credentialSubject/age), see list-pointers')
+  .option('--reveal-spec <spec>', 'Comma-separated paths to reveal, with * for any member (e.g. "credentialSubject.givenName, credentialSubject.driversLicense.*")')
+  .option('--frame <path>', 'Path to JSON-LD frame selecting what to reveal')
   .requiredOption('-o, --output <path>', 'Output path for derived document')
-  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses')
+  .option('--presentation-header <header>', 'Presentation header agreed with the verifier, binding the derived BBS proof to it (optional)')
+  .option('--nonce <nonce>', 'Session challenge provided by the verifier, binding the derived BBS proof to it (optional)')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
   .action(async (options) => {
     try {
       // Read the signed document
-      const documentContent = await fs.readFile(options.document, 'utf8');
-      const document = JSON.parse(documentContent);
+      const document = await readCredential(options.document);
 
-      // Parse the reveal pointers
-      const revealPointers = options.reveal.split(',').map(pointer => pointer.trim());
+      if (!options.reveal && !options.revealSpec && !options.frame) {
+        throw new Error('One of --reveal, --reveal-spec or --frame must be provided');
+      }
 
       const derivedDocument = await deriveProof({
         document,
-        revealPointers,
-        documentLoaderContent: await getDocumentLoaderContent(options)
+        revealPointers: options.reveal?.split(',').map(pointer => pointer.trim()),
+        revealSpec: options.revealSpec,
+        frame: options.frame ? JSON.parse(await fs.readFile(options.frame, 'utf8')) : undefined,
+        presentationHeader: options.presentationHeader,
+        nonce: options.nonce,
+        ...await getDocumentLoaderOptions(options)
       });
 
       // Write the derived document to the output file
-      await fs.writeFile(options.output, JSON.stringify(derivedDocument, null, 2));
+      await fs.writeFile(options.output, serializeCredential(derivedDocument));
       console.log(`Derived document saved to: ${options.output}`);
     } catch (error) {
       console.error('Error:', error.message);
@@ -196,13 +705,130 @@ program
     }
   });
 
+program
+  .command('create-presentation')
+  .description('Bundle credentials into a verifiable presentation signed with a holder key')
+  .requiredOption('-c, --cid <path>', 'Path to holder CID document')
+  .option('-k, --keys <path>', 'Path to private keys JSON file (required unless --signer-command is given)')
+  .option('--passphrase-env <name>', 'Environment variable holding the passphrase of an encrypted keystore (optional)')
+  .option('--signer-command <cmd>', 'External signer command, e.g. a KMS client, that reads the bytes to sign on stdin and writes the signature to stdout (instead of --keys)')
+  .requiredOption('-d, --documents <paths>', 'Comma-separated list of signed or derived credential paths to include')
+  .requiredOption('-i, --key-id <id>', 'ID of the holder key to use for signing')
+  .requiredOption('--challenge <challenge>', 'Challenge provided by the verifier')
+  .requiredOption('-o, --output <path>', 'Output path for signed presentation')
+  .option('--domain <domain>', 'Domain provided by the verifier (optional)')
+  .option('--presentation-id <id>', 'ID for the presentation (optional)')
+  .option('--cryptosuite <name>', 'Suite to sign with (defaults to Ed25519Signature2020 for Ed25519 keys and ecdsa-rdfc-2019 for ECDSA keys)')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
+  .action(async (options) => {
+    try {
+      // Read the CID document
+      const cidContent = await fs.readFile(options.cid, 'utf8');
+      const cid = JSON.parse(cidContent);
+
+      // Read the private keys, or use the external signer
+      const signingOptions = await getSigningOptions(options);
+
+      // Read the credentials to include
+      const credentials = [];
+      for (const documentPath of options.documents.split(',').map(p => p.trim())) {
+        const documentContent = await fs.readFile(documentPath, 'utf8');
+        credentials.push(JSON.parse(documentContent));
+      }
+
+      const presentation = createPresentation({
+        credentials,
+        holder: cid.id,
+        presentationId: options.presentationId
+      });
+
+      const signedVP = await signPresentation({
+        cid,
+        ...signingOptions,
+        presentation,
+        keyId: options.keyId,
+        challenge: options.challenge,
+        domain: options.domain,
+        cryptosuite: options.cryptosuite,
+        ...await getDocumentLoaderOptions(options)
+      });
+
+      // Write the signed presentation to the output file
+      await fs.writeFile(options.output, JSON.stringify(signedVP, null, 2));
+      console.log(`Signed presentation saved to: ${options.output}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('verify-presentation')
+  .description('Verify a verifiable presentation and every credential it contains')
+  .requiredOption('-c, --cid <path>', 'Path to holder CID document')
+  .requiredOption('-d, --document <path>', 'Path to verifiable presentation to verify')
+  .requiredOption('--challenge <challenge>', 'Challenge expected in the holder proof')
+  .option('--domain <domain>', 'Domain expected in the holder proof (optional)')
+  .option('--issuer-cids <paths>', 'Comma-separated list of issuer CID document paths [default: the holder CID]')
+  .option('--at <datetime>', 'Verify the credentials as of this moment instead of now, e.g. 2025-06-01T00:00:00Z')
+  .option('--clock-skew <seconds>', 'Seconds of clock skew to tolerate at either end of the credentials\' validity periods', '0')
+  .option('--format <format>', 'Output format for the verification report (text or json)', 'text')
+  .option('--did-web-root <path>', 'Directory to resolve did:web documents from instead of fetching them')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
+  .action(async (options) => {
+    try {
+      // Read the holder CID document
+      const cidContent = await fs.readFile(options.cid, 'utf8');
+      const cid = JSON.parse(cidContent);
+
+      // Read the issuer CID documents
+      const issuerCids = [];
+      if (options.issuerCids) {
+        for (const cidPath of options.issuerCids.split(',').map(p => p.trim())) {
+          const issuerCidContent = await fs.readFile(cidPath, 'utf8');
+          issuerCids.push(JSON.parse(issuerCidContent));
+        }
+      }
+
+      // Read the verifiable presentation
+      const documentContent = await fs.readFile(options.document, 'utf8');
+      const presentation = JSON.parse(documentContent);
+
+      const report = await verifyPresentation({
+        cid,
+        issuerCids,
+        presentation,
+        challenge: options.challenge,
+        domain: options.domain,
+        ...getVerificationTimeOptions(options),
+        didWebRoot: options.didWebRoot,
+        ...await getDocumentLoaderOptions(options)
+      });
+
+      printVerificationReport(report, options.format, 'Presentation');
+      process.exit(exitCodeForReport(report));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('bbs-verify-preprocess')
   .description('Preprocess BBS verification data from derived credentials')
   .requiredOption('-d, --document <path>', 'Path to derived BBS document or directory containing derived BBS documents')
-  .requiredOption('-c, --cid <path>', 'Path to CID document')
+  .option('-c, --cid <path>', 'Path to CID document (optional, defaults to resolving the issuer DID)')
   .requiredOption('-o, --output <path>', 'Output path for preprocessed data (file or directory)')
-  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses')
+  .option('--presentation-header <header>', 'Presentation header the derived proofs must be bound to (optional)')
+  .option('--nonce <nonce>', 'Nonce the derived proofs must be bound to (optional)')
+  .option('--did-web-root <path>', 'Directory to resolve did:web documents from instead of fetching them')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
   .action(async (options) => {
     try {
       // Check if input is a directory
@@ -221,8 +847,7 @@ program
       }
 
       // Read the CID document
-      const cidContent = await fs.readFile(options.cid, 'utf8');
-      const cid = JSON.parse(cidContent);
+      const cid = options.cid ? JSON.parse(await fs.readFile(options.cid, 'utf8')) : undefined;
 
       // Process each file
       for (const filePath of filesToProcess) {
@@ -234,7 +859,10 @@ program
           const preprocessedData = await preprocessBBSVerification({
             document,
             cid,
-            documentLoaderContent: await getDocumentLoaderContent(options)
+            presentationHeader: options.presentationHeader,
+            nonce: options.nonce,
+            didWebRoot: options.didWebRoot,
+            ...await getDocumentLoaderOptions(options)
           });
 
           // Handle output path
@@ -281,9 +909,12 @@ program
   .command('ed25519-verify-preprocess')
   .description('Preprocess Ed25519 verification data from signed credentials')
   .requiredOption('-d, --document <path>', 'Path to signed Ed25519 document or directory containing signed Ed25519 documents')
-  .requiredOption('-c, --cid <path>', 'Path to CID document')
+  .option('-c, --cid <path>', 'Path to CID document (optional, defaults to resolving the issuer DID)')
   .requiredOption('-o, --output <path>', 'Output path for preprocessed data (file or directory)')
-  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses')
+  .option('--did-web-root <path>', 'Directory to resolve did:web documents from instead of fetching them')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
   .action(async (options) => {
     try {
       // Check if input is a directory
@@ -302,8 +933,7 @@ program
       }
 
       // Read the CID document
-      const cidContent = await fs.readFile(options.cid, 'utf8');
-      const cid = JSON.parse(cidContent);
+      const cid = options.cid ? JSON.parse(await fs.readFile(options.cid, 'utf8')) : undefined;
 
       // Process each file
       for (const filePath of filesToProcess) {
@@ -315,7 +945,8 @@ program
           const preprocessedData = await preprocessEd25519Verification({
             document,
             cid,
-            documentLoaderContent: await getDocumentLoaderContent(options)
+            didWebRoot: options.didWebRoot,
+            ...await getDocumentLoaderOptions(options)
           });
 
           // Handle output path
@@ -363,14 +994,23 @@ program
   .description('Generate CIDs, sign credentials, and create derived proofs')
   .option('-c, --cids <ids>', 'Comma-separated list of CID controller DIDs [default: "did:example:alice,did:example:bob,did:example:charlie,did:example:dave"]')
   .option('-d, --documents <paths>', 'Comma-separated list of credential document paths to sign [default: all mock credentials]')
-  .option('-s, --signatures <types>', 'Comma-separated list of signature types to use (bbs,ed25519) [default: "bbs,ed25519"]')
+  .option('-s, --signatures <types>', 'Comma-separated list of signature types to use (bbs,ed25519,ecdsa,ecdsa-sd) [default: "bbs,ed25519"]')
+  .option('--cryptosuite <name>', 'Suite to use for ed25519 signatures (Ed25519Signature2020, eddsa-rdfc-2022 or eddsa-jcs-2022)', 'Ed25519Signature2020')
   .option('--no-derive', 'Skip creating derived proofs for BBS signatures')
   .option('--no-preprocess', 'Skip preprocessing derived proofs')
+  .option('--reveal-spec-file <path>', 'Path to JSON file mapping document names (e.g. "residence"), or "*" for the rest, to the reveal spec or JSON-LD frame to derive them with [default: reveal /credentialSubject]')
   .option('-o, --output-dir <path>', 'Output directory for generated files [default: "./generated"]')
   .option('--distribute', 'Distribute documents across CIDs instead of having each CID sign all documents')
   .option('--collect', 'Collect all generated files into a single Turtle file')
   .option('--subject-id <id>', 'ID for the credential subject (optional)')
-  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses')
+  .option('--seed <seed>', 'Derive all keys, ids and proof randomness from a seed, so that the same files are generated every time (for test fixtures only; not with ecdsa, ecdsa-sd or --passphrase-env)')
+  .option('--created <date>', 'Creation time of every proof [default: now]')
+  .option('--mandatory <pointers>', 'Comma-separated list of JSON pointers that every derived proof reveals, in addition to the policy\'s')
+  .option('--mandatory-policy <path>', 'Path to JSON file of mandatory pointers by credential type, replacing the default policy')
+  .option('--passphrase-env <name>', 'Environment variable holding a passphrase to save privateKeys.json as an encrypted keystore (optional)')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
   .action(async (options) => {
     try {
       // Parse options with defaults
@@ -389,17 +1029,43 @@ program
       ];
 
       const signatures = options.signatures ? options.signatures.split(',') : ['bbs', 'ed25519'];
+
+      // Key type and cryptosuite of each signature type; selective disclosure types are derived
+      const signatureTypes = {
+        bbs: { keyType: 'bbs', cryptosuite: 'bbs-2023', derive: true },
+        ed25519: { keyType: 'ed25519', cryptosuite: options.cryptosuite },
+        ecdsa: { keyType: 'ecdsa-p256', cryptosuite: 'ecdsa-rdfc-2019' },
+        'ecdsa-sd': { keyType: 'ecdsa-p256', cryptosuite: 'ecdsa-sd-2023', derive: true }
+      };
+      for (const sigType of signatures) {
+        if (!signatureTypes[sigType]) {
+          throw new Error(`Unknown signature type ${sigType}; expected one of ${Object.keys(signatureTypes).join(', ')}`);
+        }
+      }
+      const includeEcdsa = signatures.includes('ecdsa') || signatures.includes('ecdsa-sd');
+      const seed = options.seed;
+      // --seed promises the same files on every run, which these outputs cannot keep
+      if (seed !== undefined && includeEcdsa) {
+        throw new Error('--seed cannot be used with ecdsa or ecdsa-sd signatures, which are randomized by OpenSSL');
+      }
+      if (seed !== undefined && options.passphraseEnv) {
+        throw new Error('--seed cannot be used with --passphrase-env, as encrypted keystores use a random salt');
+      }
+      // Without a seed every id is random
+      const uuid = (label) => (seed !== undefined ? deriveSeedUuid(seed, label) : randomUUID());
+      const created = options.created && parseDateOption(options.created, '--created');
       const shouldDerive = options.derive !== false;
       const shouldPreprocess = options.preprocess !== false;
       const baseOutputDir = options.outputDir || './generated';
       const distribute = options.distribute || false;
-      const subjectId = options.subjectId || `did:example:${randomUUID()}`;
+      const subjectId = options.subjectId || `did:example:${uuid('subject')}`;
 
       console.log('\n=== Starting Generation Process ===');
       console.log(`Base output directory: ${baseOutputDir}`);
       console.log(`CIDs to generate: ${cids.join(', ')}`);
       console.log(`Documents to sign: ${documents.join(', ')}`);
       console.log(`Signature types: ${signatures.join(', ')}`);
+      console.log(`Ed25519 cryptosuite: ${options.cryptosuite}`);
       console.log(`Derive proofs: ${shouldDerive ? 'Yes' : 'No'}`);
       console.log(`Preprocess derived proofs: ${shouldPreprocess ? 'Yes' : 'No'}`);
       console.log(`Distribute documents: ${distribute ? 'Yes' : 'No'}`);
@@ -409,7 +1075,12 @@ program
       const cidsDir = path.join(baseOutputDir, 'cids');
       const bbsDir = path.join(baseOutputDir, 'bbs');
       const ed25519Dir = path.join(baseOutputDir, 'ed25519');
+      const ecdsaDir = path.join(baseOutputDir, 'ecdsa');
+      const ecdsaSdDir = path.join(baseOutputDir, 'ecdsa-sd');
       const derivedDir = path.join(baseOutputDir, 'derived');
+      const ecdsaSdDerivedDir = path.join(baseOutputDir, 'ecdsa-sd-derived');
+      const outputDirs = { bbs: bbsDir, ed25519: ed25519Dir, ecdsa: ecdsaDir, 'ecdsa-sd': ecdsaSdDir };
+      const derivedDirs = { bbs: derivedDir, 'ecdsa-sd': ecdsaSdDerivedDir };
       const preprocessedDir = path.join(baseOutputDir, 'derived-preprocessed');
       const ed25519PreprocessedDir = path.join(baseOutputDir, 'ed25519-preprocessed');
       const keysFile = path.join(baseOutputDir, 'privateKeys.json');
@@ -422,6 +1093,9 @@ program
           fs.mkdir(bbsDir, { recursive: true }),
           fs.mkdir(ed25519Dir, { recursive: true }),
           fs.mkdir(derivedDir, { recursive: true }),
+          signatures.includes('ecdsa') && fs.mkdir(ecdsaDir, { recursive: true }),
+          signatures.includes('ecdsa-sd') && fs.mkdir(ecdsaSdDir, { recursive: true }),
+          signatures.includes('ecdsa-sd') && fs.mkdir(ecdsaSdDerivedDir, { recursive: true }),
           shouldPreprocess && fs.mkdir(preprocessedDir, { recursive: true }),
           shouldPreprocess && fs.mkdir(ed25519PreprocessedDir, { recursive: true })
         ]);
@@ -446,7 +1120,9 @@ program
           // Generate CID and get private keys
           const { cid: cidDoc, privateKeys } = await generateCIDDocument(cid, {
             includeEd25519: signatures.includes('ed25519'),
-            includeBBS: signatures.includes('bbs')
+            includeBBS: signatures.includes('bbs'),
+            includeEcdsaP256: includeEcdsa,
+            seed
           });
 
           // Save CID document
@@ -466,7 +1142,7 @@ program
       // Save all private keys to a single file
       console.log('=== Saving Private Keys ===');
       try {
-        await fs.writeFile(keysFile, JSON.stringify(allPrivateKeys, null, 2));
+        await writePrivateKeys(keysFile, allPrivateKeys, options);
         console.log(`✓ All private keys saved to: ${keysFile}\n`);
       } catch (error) {
         throw new Error(`Failed to save private keys: ${error.message}`);
@@ -487,37 +1163,42 @@ program
 
           for (const sigType of signatures) {
             try {
-              const keyId = cid.verificationMethod.find(vm =>
-                sigType === 'bbs' ? vm.publicKeyMultibase.startsWith('zUC7') : !vm.publicKeyMultibase.startsWith('zUC7')
-              )?.id;
+              const { keyType, cryptosuite } = signatureTypes[sigType];
+              const keyId = cid.verificationMethod.find(vm => getKeyType(vm) === keyType)?.id;
 
               if (!keyId) {
                 console.warn(`⚠️ No ${sigType} key found for CID ${cid.id}, skipping...`);
                 continue;
               }
 
-              const outputDir = sigType === 'bbs' ? bbsDir : ed25519Dir;
+              const outputDir = outputDirs[sigType];
               const outputFile = path.join(outputDir, `${docName}-${shortName}.jsonld`);
-              const credentialId = `urn:uuid:${randomUUID()}`;
+              const credentialId = `urn:uuid:${uuid(`credential:${docName}-${shortName}-${sigType}`)}`;
 
               console.log(`Signing with ${sigType.toUpperCase()}...`);
               const documentContent = await fs.readFile(docPath, 'utf8');
               const document = JSON.parse(documentContent);
 
-              const signedVC = await signCredential({
+              const signOptions = {
                 cid,
                 privateKeys: allPrivateKeys,
                 document,
                 keyId,
                 credentialId,
-                subjectId
-              });
+                subjectId,
+                cryptosuite,
+                created,
+                ...await getMandatoryOptions(options),
+                ...await getDocumentLoaderOptions(options)
+              };
+              const signedVC = await withSeededRandomness(seed, `sign:${docName}-${shortName}-${sigType}`, () => signCredential(signOptions));
 
               await fs.writeFile(outputFile, JSON.stringify(signedVC, null, 2));
               console.log(`✓ Signed document saved to: ${outputFile}`);
 
               signedFiles.push({
                 file: outputFile,
+                document: docName,
                 type: sigType,
                 cid: cid.id
               });
@@ -548,36 +1229,40 @@ program
       }
       console.log('\n✓ All credentials signed successfully\n');
 
-      // Create derived proofs for BBS signatures
+      // Create derived proofs for selective disclosure signatures
       if (shouldDerive) {
         console.log('=== Creating Derived Proofs ===');
-        const bbsFiles = signedFiles.filter(f => f.type === 'bbs');
+        const derivableFiles = signedFiles.filter(f => signatureTypes[f.type].derive);
+        const revealSpecs = options.revealSpecFile ? JSON.parse(await fs.readFile(options.revealSpecFile, 'utf8')) : {};
 
-        for (const { file } of bbsFiles) {
+        for (const { file, document: sourceName, type } of derivableFiles) {
           try {
             const docName = path.basename(file, '.jsonld');
-            const outputFile = path.join(derivedDir, `${docName}-derived.jsonld`);
+            const outputFile = path.join(derivedDirs[type], `${docName}-derived.jsonld`);
 
             console.log(`\nDeriving proof for: ${docName}`);
-            // Use a reasonable set of reveal pointers based on the credential type
-            const revealPointers = [
-              '/credentialSubject',
-            ];
+            // Reveal what the reveal spec file gives for the document, a reveal spec or a frame,
+            // or else the whole credential subject
+            const reveal = revealSpecs[sourceName] ?? revealSpecs['*'];
+            const isSpec = typeof reveal === 'string' || Array.isArray(reveal);
 
             const documentContent = await fs.readFile(file, 'utf8');
             const document = JSON.parse(documentContent);
 
-            const derivedDocument = await deriveProof({
+            const deriveOptions = {
               document,
-              revealPointers,
-              documentLoaderContent: await getDocumentLoaderContent(options)
-            });
+              ...(reveal === undefined && { revealPointers: ['/credentialSubject'] }),
+              ...(isSpec && { revealSpec: reveal }),
+              ...(reveal !== undefined && !isSpec && { frame: reveal }),
+              ...await getDocumentLoaderOptions(options)
+            };
+            const derivedDocument = await withSeededRandomness(seed, `derive:${docName}`, () => deriveProof(deriveOptions));
 
             await fs.writeFile(outputFile, JSON.stringify(derivedDocument, null, 2));
             console.log(`✓ Derived proof saved to: ${outputFile}`);
 
             // Preprocess the derived proof if enabled
-            if (shouldPreprocess) {
+            if (shouldPreprocess && type === 'bbs') {
               console.log(`Preprocessing derived proof: ${docName}`);
 
               const cidFile = cidFiles.find(f => f.includes(docName.split('-')[1]));
@@ -587,7 +1272,7 @@ program
               const preprocessedData = await preprocessBBSVerification({
                 document: derivedDocument,
                 cid,
-                documentLoaderContent: await getDocumentLoaderContent(options)
+                ...await getDocumentLoaderOptions(options)
               });
 
               const preprocessedFile = path.join(preprocessedDir, `${docName}-preprocessed.json`);
@@ -619,9 +1304,9 @@ program
           const documentContent = await fs.readFile(signedFile, 'utf8');
           const document = JSON.parse(documentContent);
 
-          const isValid = await verifyCredential({ cid, document, documentLoaderContent: await getDocumentLoaderContent(options) });
-          if (!isValid) {
-            throw new Error('Verification failed');
+          const report = await verifyCredential({ cid, document, ...await getDocumentLoaderOptions(options) });
+          if (!report.verified) {
+            throw new Error(`Verification failed: ${report.errors.map(e => `[${e.code}] ${e.message}`).join('; ')}`);
           }
           console.log('✓ Verification successful');
 
@@ -631,7 +1316,7 @@ program
             const preprocessedData = await preprocessEd25519Verification({
               document,
               cid,
-              documentLoaderContent: await getDocumentLoaderContent(options)
+              ...await getDocumentLoaderOptions(options)
             });
 
             const preprocessedFile = path.join(ed25519PreprocessedDir, `${file}-preprocessed.json`);
@@ -643,14 +1328,42 @@ program
         }
       }
 
-      // Verify derived BBS proofs
-      console.log('\nVerifying Derived BBS Proofs:');
-      const derivedFiles = await fs.readdir(path.join(baseOutputDir, 'derived'));
-      for (const file of derivedFiles) {
+      // Verify ECDSA signatures
+      if (signatures.includes('ecdsa')) {
+        console.log('\nVerifying ECDSA Signatures:');
+        for (const file of await fs.readdir(ecdsaDir)) {
+          try {
+            const cidName = file.split('-')[1].split('.')[0]; // Extract CID name from filename
+            const cidFile = path.join(cidsDir, `${cidName}-cid.jsonld`);
+
+            console.log(`\nVerifying: ${file}`);
+            const cid = JSON.parse(await fs.readFile(cidFile, 'utf8'));
+            const document = JSON.parse(await fs.readFile(path.join(ecdsaDir, file), 'utf8'));
+
+            const report = await verifyCredential({ cid, document, ...await getDocumentLoaderOptions(options) });
+            if (!report.verified) {
+              throw new Error(`Verification failed: ${report.errors.map(e => `[${e.code}] ${e.message}`).join('; ')}`);
+            }
+            console.log('✓ Verification successful');
+          } catch (error) {
+            throw new Error(`Failed to verify ECDSA document ${file}: ${error.message}`);
+          }
+        }
+      }
+
+      // Verify derived BBS and ecdsa-sd-2023 proofs
+      console.log('\nVerifying Derived Proofs:');
+      const derivedFiles = [];
+      for (const [sigType, dir] of Object.entries(derivedDirs)) {
+        if (sigType === 'bbs' || signatures.includes(sigType)) {
+          derivedFiles.push(...(await fs.readdir(dir)).map(file => ({ file, dir })));
+        }
+      }
+      for (const { file, dir } of derivedFiles) {
         try {
           const cidName = file.split('-')[1].split('.')[0]; // Extract CID name from filename
           const cidFile = path.join(cidsDir, `${cidName}-cid.jsonld`);
-          const derivedFile = path.join(baseOutputDir, 'derived', file);
+          const derivedFile = path.join(dir, file);
           
           console.log(`\nVerifying: ${file}`);
           const cidContent = await fs.readFile(cidFile, 'utf8');
@@ -658,13 +1371,13 @@ program
           const documentContent = await fs.readFile(derivedFile, 'utf8');
           const document = JSON.parse(documentContent);
 
-          const isValid = await verifyCredential({ cid, document, documentLoaderContent: await getDocumentLoaderContent(options) });
-          if (!isValid) {
-            throw new Error('Verification failed');
+          const report = await verifyCredential({ cid, document, ...await getDocumentLoaderOptions(options) });
+          if (!report.verified) {
+            throw new Error(`Verification failed: ${report.errors.map(e => `[${e.code}] ${e.message}`).join('; ')}`);
           }
           console.log('✓ Verification successful');
         } catch (error) {
-          throw new Error(`Failed to verify derived BBS document ${file}: ${error.message}`);
+          throw new Error(`Failed to verify derived document ${file}: ${error.message}`);
         }
       }
 
@@ -675,6 +1388,13 @@ program
       console.log('- CIDs:', cidsDir);
       console.log('- BBS Signatures:', bbsDir);
       console.log('- Ed25519 Signatures:', ed25519Dir);
+      if (signatures.includes('ecdsa')) {
+        console.log('- ECDSA Signatures:', ecdsaDir);
+      }
+      if (signatures.includes('ecdsa-sd')) {
+        console.log('- ECDSA-SD Signatures:', ecdsaSdDir);
+        console.log('- Derived ECDSA-SD Credentials:', ecdsaSdDerivedDir);
+      }
       console.log('- Derived Credentials:', derivedDir);
       if (shouldPreprocess) {
         console.log('- Preprocessed Derived Credentials:', preprocessedDir);
@@ -690,10 +1410,13 @@ program
             ...(await fs.readdir(cidsDir)).map(f => path.join(cidsDir, f)),
             ...(await fs.readdir(bbsDir)).map(f => path.join(bbsDir, f)),
             ...(await fs.readdir(ed25519Dir)).map(f => path.join(ed25519Dir, f)),
-            ...(await fs.readdir(derivedDir)).map(f => path.join(derivedDir, f))
+            ...(await fs.readdir(derivedDir)).map(f => path.join(derivedDir, f)),
+            ...(signatures.includes('ecdsa') ? await fs.readdir(ecdsaDir) : []).map(f => path.join(ecdsaDir, f)),
+            ...(signatures.includes('ecdsa-sd') ? await fs.readdir(ecdsaSdDir) : []).map(f => path.join(ecdsaSdDir, f)),
+            ...(signatures.includes('ecdsa-sd') ? await fs.readdir(ecdsaSdDerivedDir) : []).map(f => path.join(ecdsaSdDerivedDir, f))
           ],
           outputPath: outputFile,
-          documentLoaderContent: await getDocumentLoaderContent(options)
+          ...await getDocumentLoaderOptions(options)
         });
         console.log(`✓ All files collected into: ${outputFile}`);
       }
@@ -705,10 +1428,15 @@ program
 
 program
   .command('collect')
-  .description('Collect JSON-LD documents into a single Turtle file, excluding proofs')
+  .description('Collect JSON-LD documents into a single RDF file, excluding proofs unless --include-proofs is given')
   .requiredOption('-d, --directory <path>', 'Directory containing JSON-LD documents')
-  .requiredOption('-o, --output <path>', 'Output path for Turtle file (must end with .ttl)')
-  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses')
+  .requiredOption('-o, --output <path>', 'Output path for RDF file')
+  .option('--format <format>', 'Output format (turtle, nquads, trig or jsonld) [default: inferred from the output extension]')
+  .option('--include-proofs', 'Keep proofs as named graphs, writing each document to a graph of its own (not available for turtle)')
+  .option('--canonicalize', 'Canonicalize the output with RDFC-1.0 so that outputs can be diffed')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
   .action(async (options) => {
     try {
       // Read all files in the directory
@@ -724,7 +1452,10 @@ program
       await collectDocuments({
         documents: jsonldFiles,
         outputPath: options.output,
-        documentLoaderContent: await getDocumentLoaderContent(options)
+        format: options.format,
+        includeProofs: options.includeProofs,
+        canonicalize: options.canonicalize,
+        ...await getDocumentLoaderOptions(options)
       });
 
       console.log(`Successfully collected ${jsonldFiles.length} documents into ${options.output}`);
@@ -734,6 +1465,387 @@ program
     }
   });
 
+const cidCommand = program
+  .command('cid')
+  .description('Manage the keys of an existing CID document');
+
+cidCommand
+  .command('add-key')
+  .description('Add a newly generated key to a CID document')
+  .requiredOption('-c, --cid <path>', 'Path to CID document')
+  .requiredOption('-k, --keys <path>', 'Path to private keys JSON file to add the new private key to')
+  .option('--type <type>', `Key type (${KEY_TYPES.join(', ')})`, 'ed25519')
+  .option('--passphrase-env <name>', 'Environment variable holding the passphrase of an encrypted keystore (optional)')
+  .option('-o, --output <path>', 'Output path for the updated CID document [default: overwrite --cid]')
+  .action(async (options) => {
+    try {
+      const cid = JSON.parse(await fs.readFile(options.cid, 'utf8'));
+      // Check the keys file can be updated before changing the CID document
+      await readExistingPrivateKeys(options.keys, options);
+      const { cid: updated, privateKeys, keyId } = await addVerificationMethod(cid, options.type);
+      await saveCidUpdate(options, updated, privateKeys);
+      console.log(`Added ${options.type} key: ${keyId}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+cidCommand
+  .command('rotate-key')
+  .description('Replace a key with a new key of the same type, marking the old key as expiring')
+  .requiredOption('-c, --cid <path>', 'Path to CID document')
+  .requiredOption('-k, --keys <path>', 'Path to private keys JSON file to add the new private key to')
+  .requiredOption('-i, --key-id <id>', 'ID of the key to rotate')
+  .requiredOption('--expires <date>', 'When the old key expires; proofs it creates after this are rejected')
+  .option('--passphrase-env <name>', 'Environment variable holding the passphrase of an encrypted keystore (optional)')
+  .option('-o, --output <path>', 'Output path for the updated CID document [default: overwrite --cid]')
+  .action(async (options) => {
+    try {
+      const cid = JSON.parse(await fs.readFile(options.cid, 'utf8'));
+      await readExistingPrivateKeys(options.keys, options);
+      const { cid: updated, privateKeys, keyId } = await rotateVerificationMethod(cid, options.keyId, {
+        expires: parseDateOption(options.expires, '--expires')
+      });
+      await saveCidUpdate(options, updated, privateKeys);
+      console.log(`Rotated ${options.keyId} to: ${keyId}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+cidCommand
+  .command('revoke-key')
+  .description('Revoke a key; no proof made with a revoked key verifies')
+  .requiredOption('-c, --cid <path>', 'Path to CID document')
+  .requiredOption('-i, --key-id <id>', 'ID of the key to revoke')
+  .option('-k, --keys <path>', 'Path to private keys JSON file to delete the revoked private key from (optional)')
+  .option('--revoked <date>', 'When the key was revoked [default: now]')
+  .option('--passphrase-env <name>', 'Environment variable holding the passphrase of an encrypted keystore (optional)')
+  .option('-o, --output <path>', 'Output path for the updated CID document [default: overwrite --cid]')
+  .action(async (options) => {
+    try {
+      const cid = JSON.parse(await fs.readFile(options.cid, 'utf8'));
+      const privateKeys = options.keys && await readPrivateKeys(options.keys, options);
+      const updated = revokeVerificationMethod(cid, options.keyId, {
+        revoked: parseDateOption(options.revoked, '--revoked')
+      });
+      await saveCidUpdate(options, updated);
+      if (privateKeys) {
+        delete privateKeys[options.keyId];
+        await writePrivateKeys(options.keys, privateKeys, options);
+        console.log(`Private key deleted from: ${options.keys}`);
+      }
+      console.log(`Revoked key: ${options.keyId}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const keysCommand = program
+  .command('keys')
+  .description('Manage private key files, and import and export keys');
+
+keysCommand
+  .command('migrate')
+  .description('Convert a plaintext private keys file into an encrypted keystore')
+  .requiredOption('-k, --keys <path>', 'Path to plaintext private keys JSON file')
+  .requiredOption('--passphrase-env <name>', 'Environment variable holding the passphrase to encrypt the keys with')
+  .option('-o, --output <path>', 'Output path for the encrypted keystore [default: overwrite --keys]')
+  .action(async (options) => {
+    try {
+      const content = JSON.parse(await fs.readFile(options.keys, 'utf8'));
+      if (isEncryptedKeystore(content)) {
+        throw new Error(`${options.keys} is already an encrypted keystore`);
+      }
+
+      const outputPath = options.output || options.keys;
+      await writePrivateKeys(outputPath, content, options);
+      console.log(`Encrypted ${Object.keys(content).length} private keys into: ${outputPath}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+keysCommand
+  .command('import')
+  .description('Add an existing JWK or PEM key to a CID document, creating the CID document if it does not exist')
+  .requiredOption('-c, --cid <path>', 'Path to the CID document to add the key to')
+  .option('--controller <did>', 'Controller DID of the CID document to create (required if --cid does not exist)')
+  .option('--jwk <path>', 'Path to a public or private JWK, or a JWK Set of one key (Ed25519, BBS, P-256 or P-384)')
+  .option('--pem <path>', 'Path to a PEM encoded SPKI public key or PKCS #8 private key (Ed25519, P-256 or P-384)')
+  .option('-k, --keys <path>', 'Path to private keys JSON file to add the private key to (required for private keys)')
+  .option('--relationships <list>', `Comma-separated verification relationships to authorize the key for (${VERIFICATION_RELATIONSHIPS.join(', ')}) [default: all]`)
+  .option('--public-key-jwk', 'Express the key as a JsonWebKey verification method with publicKeyJwk, instead of a Multikey')
+  .option('--passphrase-env <name>', 'Environment variable holding the passphrase of an encrypted keystore (optional)')
+  .option('-o, --output <path>', 'Output path for the CID document [default: overwrite --cid]')
+  .action(async (options) => {
+    try {
+      if (Boolean(options.jwk) === Boolean(options.pem)) {
+        throw new Error('Exactly one of --jwk or --pem must be provided');
+      }
+
+      let cid;
+      try {
+        cid = JSON.parse(await fs.readFile(options.cid, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        if (!options.controller) {
+          throw new Error(`${options.cid} does not exist; give --controller to create a new CID document`);
+        }
+        ({ cid } = await generateCIDDocument(options.controller, { includeEd25519: false, includeBBS: false }));
+      }
+
+      let key;
+      if (options.jwk) {
+        // A JWK Set, as written by keys export, is accepted when it holds a single key
+        const jwk = JSON.parse(await fs.readFile(options.jwk, 'utf8'));
+        if (Array.isArray(jwk.keys) && jwk.keys.length !== 1) {
+          throw new Error(`${options.jwk} is a JWK Set of ${jwk.keys.length} keys; import one key at a time`);
+        }
+        key = { jwk: Array.isArray(jwk.keys) ? jwk.keys[0] : jwk };
+      } else {
+        key = { pem: await fs.readFile(options.pem, 'utf8') };
+      }
+      const { cid: updated, privateKeys, keyId } = await importVerificationMethod(cid, key, {
+        relationships: options.relationships?.split(',').map(relationship => relationship.trim()),
+        publicKeyJwk: options.publicKeyJwk === true
+      });
+      if (Object.keys(privateKeys).length > 0) {
+        if (!options.keys) {
+          throw new Error('The imported key is a private key; give --keys to save it');
+        }
+        // Check the keys file can be updated before changing the CID document
+        await readExistingPrivateKeys(options.keys, options);
+      }
+
+      await saveCidUpdate(options, updated, privateKeys);
+      console.log(`Imported ${getKeyType(updated.verificationMethod.find(vm => vm.id === keyId))} key: ${keyId}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+keysCommand
+  .command('export')
+  .description('Convert the keys of a CID document, and optionally their private keys, to JWK, PEM or multibase')
+  .requiredOption('-c, --cid <path>', 'Path to CID document')
+  .option('-k, --keys <path>', 'Path to private keys JSON file, to also export the private keys (optional)')
+  .option('-i, --key-id <id>', 'ID of the key to export [default: every key]')
+  .option('--format <format>', `Key format (${KEY_FORMATS.join(', ')}); jwk exports a JWK Set and pem a single key`, 'jwk')
+  .option('--passphrase-env <name>', 'Environment variable holding the passphrase of an encrypted keystore (optional)')
+  .option('-o, --output <path>', 'Output path for the exported keys [default: print]')
+  .action(async (options) => {
+    try {
+      const cid = await toMultikeyCid(JSON.parse(await fs.readFile(options.cid, 'utf8')));
+      const privateKeys = options.keys ? await readPrivateKeys(options.keys, options) : {};
+
+      const verificationMethods = options.keyId
+        ? cid.verificationMethod.filter(vm => vm.id === options.keyId)
+        : cid.verificationMethod;
+      if (verificationMethods.length === 0) {
+        throw new Error(`Key ID ${options.keyId} not found in CID document`);
+      }
+      if (options.format === 'pem' && verificationMethods.length > 1) {
+        throw new Error('A PEM export holds a single key; select it with --key-id');
+      }
+
+      const exported = [];
+      for (const vm of verificationMethods) {
+        const key = await exportKey({
+          keyType: getKeyType(vm),
+          publicKeyMultibase: vm.publicKeyMultibase,
+          privateKey: privateKeys[vm.id]
+        }, options.format);
+        exported.push({ id: vm.id, ...key });
+      }
+
+      let output;
+      if (options.format === 'jwk') {
+        output = JSON.stringify({ keys: exported.map(({ id, publicKey, privateKey }) => ({ kid: id, ...(privateKey ?? publicKey) })) }, null, 2);
+      } else if (options.format === 'pem') {
+        output = exported[0].publicKey + (exported[0].privateKey ?? '');
+      } else {
+        output = JSON.stringify(Object.fromEntries(exported.map(({ id, publicKey, privateKey }) => [
+          id,
+          { publicKeyMultibase: publicKey, ...(privateKey && { secretKeyMultibase: privateKey }) }
+        ])), null, 2);
+      }
+
+      if (options.output) {
+        // Private keys are only readable by their owner, as in private keys files
+        await fs.writeFile(options.output, output, options.keys ? { mode: 0o600 } : {});
+        console.log(`Keys exported to: ${options.output}`);
+      } else {
+        console.log(output);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const contextsCommand = program
+  .command('contexts')
+  .description('Manage the JSON-LD contexts documents are processed with');
+
+contextsCommand
+  .command('bundle')
+  .description('Fetch every context the documents reference into a bundle for --document-loader-content, so they can be processed --offline')
+  .requiredOption('-d, --documents <paths>', 'Comma-separated list of JSON-LD documents, or directories of them')
+  .requiredOption('-o, --output <path>', 'Output path for the context bundle')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them')
+  .option('--offline', 'Never fetch documents from the network, failing with the URL of any document not available locally')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that loaded contexts must match')
+  .action(async (options) => {
+    try {
+      const documentPaths = [];
+      for (const documentPath of options.documents.split(',').map(p => p.trim())) {
+        if ((await fs.stat(documentPath)).isDirectory()) {
+          const files = await fs.readdir(documentPath, { recursive: true });
+          documentPaths.push(...files.filter(file => file.endsWith('.json') || file.endsWith('.jsonld'))
+            .sort()
+            .map(file => path.join(documentPath, file)));
+        } else {
+          documentPaths.push(documentPath);
+        }
+      }
+
+      const documents = [];
+      for (const documentPath of documentPaths) {
+        documents.push(JSON.parse(await fs.readFile(documentPath, 'utf8')));
+      }
+
+      const bundle = await bundleContexts({
+        documents,
+        ...await getDocumentLoaderOptions(options)
+      });
+
+      await fs.writeFile(options.output, JSON.stringify(bundle, null, 2));
+      console.log(`Bundled ${Object.keys(bundle.contexts).length} contexts from ${documents.length} documents into: ${options.output}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the cache of fetched contexts: the .cache directory of the working directory, and the read-only cache shipped with the package');
+
+// Print cache entries, one per line
+function printCacheEntries(entries) {
+  for (const { scope, fetched, sha256, url, file, error } of entries) {
+    console.log(`${scope.padEnd(7)}  ${fetched}  ${sha256 ?? '(no hash recorded)'.padEnd(64)}  ${url ?? file}${error ? `\n  ${error}` : ''}`);
+  }
+}
+
+cacheCommand
+  .command('list')
+  .description('List the cached documents with their URL, fetch time and SHA-256 hash')
+  .option('--format <format>', 'Output format (text or json)', 'text')
+  .action(async (options) => {
+    try {
+      const entries = await listCacheEntries();
+      if (options.format === 'json') {
+        console.log(JSON.stringify(entries.map(({ document, ...entry }) => entry), null, 2));
+      } else {
+        printCacheEntries(entries);
+        console.log(`${entries.length} cache entries`);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+cacheCommand
+  .command('prefetch')
+  .description('Fetch documents, and the contexts they reference, into the cache, replacing any cached copies')
+  .argument('<urls...>', 'URLs of the documents to fetch')
+  .option('--document-loader-content <path>', 'Path to JSON file containing predefined document loader responses, a context bundle, or a directory of them, to cache instead of fetching')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that fetched documents must match')
+  .action(async (urls, options) => {
+    try {
+      const entries = await prefetchContexts({
+        urls,
+        documentLoaderContent: await getDocumentLoaderContent(options),
+        contextPins: await getContextPins(options)
+      });
+      for (const entry of entries) {
+        console.log(`Cached ${entry.url} (sha256 ${entry.sha256})`);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+cacheCommand
+  .command('verify')
+  .description('Check every cache entry against its recorded hash, and the hashes pinned with --context-pins')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle, that cached documents must match')
+  .action(async (options) => {
+    try {
+      const entries = await verifyCacheEntries(await getContextPins(options));
+      const failed = entries.filter(entry => entry.error);
+      if (failed.length > 0) {
+        console.error(`${failed.length} of ${entries.length} cache entries failed verification`);
+        for (const { scope, url, file, error } of failed) {
+          console.error(`  [${scope}] ${url ?? file}: ${error}`);
+        }
+        process.exit(1);
+      }
+      console.log(`${entries.length} cache entries verified`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+cacheCommand
+  .command('prune')
+  .description('Remove entries that fail verification, and optionally old entries, from the cache of the working directory')
+  .option('--max-age <days>', 'Also remove entries fetched more than this many days ago')
+  .option('--context-pins <path>', 'Path to JSON file of SHA-256 hashes by URL, or a context bundle; entries not matching them are removed')
+  .action(async (options) => {
+    try {
+      const maxAgeDays = options.maxAge === undefined ? undefined : Number(options.maxAge);
+      if (maxAgeDays !== undefined && !(maxAgeDays >= 0)) {
+        throw new Error(`--max-age must be a number of days, got ${options.maxAge}`);
+      }
+      const removed = await pruneCache({
+        maxAge: maxAgeDays === undefined ? undefined : maxAgeDays * 24 * 60 * 60 * 1000,
+        contextPins: await getContextPins(options)
+      });
+      for (const { url, file, error } of removed) {
+        console.log(`Removed ${url ?? file}${error ? `: ${error}` : ''}`);
+      }
+      console.log(`Removed ${removed.length} cache entries`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+cacheCommand
+  .command('clear')
+  .description('Remove every entry from the cache of the working directory')
+  .action(async () => {
+    try {
+      console.log(`Removed ${await clearCache()} cache entries`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
 
 
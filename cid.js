@@ -1,20 +1,223 @@
 import { Ed25519VerificationKey2020 } from '@digitalbazaar/ed25519-verification-key-2020';
 import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import { createECDH } from 'node:crypto';
+import { exportKey, jwkKeyType, keyFromJwk, keyFromPem } from './lib/keyFormats.js';
+import { deriveSeedBytes } from './lib/seed.js';
+
+// Multibase prefixes of the multicodec-encoded public keys of each key type; base58
+// encoding a BLS12-381 G2 key gives either of two prefixes depending on the key
+const KEY_TYPE_PREFIXES = {
+  bbs: ['zUC6', 'zUC7'],
+  ed25519: 'z6Mk',
+  'ecdsa-p256': 'zDna',
+  'ecdsa-p384': 'z82L'
+};
+
+/**
+ * Get the key type of a Multikey or JsonWebKey verification method from its public key
+ * @param {Object} verificationMethod - Multikey or JsonWebKey verification method
+ * @returns {'bbs'|'ed25519'|'ecdsa-p256'|'ecdsa-p384'} The key type
+ */
+export function getKeyType(verificationMethod) {
+  if (verificationMethod.publicKeyJwk && !verificationMethod.publicKeyMultibase) {
+    return jwkKeyType(verificationMethod.publicKeyJwk);
+  }
+  const keyType = Object.keys(KEY_TYPE_PREFIXES)
+    .find(type => [].concat(KEY_TYPE_PREFIXES[type]).some(prefix => verificationMethod.publicKeyMultibase?.startsWith(prefix)));
+  if (!keyType) {
+    throw new Error(`Unsupported key type for verification method ${verificationMethod.id}`);
+  }
+  return keyType;
+}
+
+export const KEY_TYPES = Object.keys(KEY_TYPE_PREFIXES);
+
+export const VERIFICATION_RELATIONSHIPS = ['authentication', 'assertionMethod', 'capabilityInvocation', 'capabilityDelegation'];
+
+// Size of the seed of each key type; an ECDSA seed is used as the private key itself
+const SEED_LENGTHS = { ed25519: 32, bbs: 32, 'ecdsa-p256': 32, 'ecdsa-p384': 48 };
+
+// WebCrypto cannot generate ECDSA keys from a seed, so the key pair is computed with ECDH
+function ecdsaJwkFromSeed(curve, seed) {
+  const ecdh = createECDH(curve === 'P-256' ? 'prime256v1' : 'secp384r1');
+  ecdh.setPrivateKey(seed);
+  // The uncompressed public key is 0x04 followed by x and y
+  const publicKey = ecdh.getPublicKey();
+  const coordinateLength = (publicKey.length - 1) / 2;
+  return {
+    kty: 'EC',
+    crv: curve,
+    x: publicKey.subarray(1, 1 + coordinateLength).toString('base64url'),
+    y: publicKey.subarray(1 + coordinateLength).toString('base64url'),
+    d: Buffer.from(seed).toString('base64url')
+  };
+}
+
+// Generate a key pair of the given key type, returning its public key and the private key to store;
+// with a seed, the same key pair is generated every time
+async function generateKeyPair(keyType, { seed } = {}) {
+  switch (keyType) {
+    case 'ed25519': {
+      const keyPair = await Ed25519VerificationKey2020.generate({ seed });
+      return { publicKeyMultibase: keyPair.publicKeyMultibase, privateKey: keyPair.privateKeyMultibase };
+    }
+    case 'bbs': {
+      const keyPair = await Bls12381Multikey.generateBbsKeyPair({
+        algorithm: Bls12381Multikey.ALGORITHMS.BBS_BLS12381_SHA256,
+        seed
+      });
+      return { publicKeyMultibase: keyPair.publicKeyMultibase, privateKey: keyPair.secretKeyMultibase };
+    }
+    case 'ecdsa-p256':
+    case 'ecdsa-p384': {
+      const curve = keyType === 'ecdsa-p256' ? 'P-256' : 'P-384';
+      const keyPair = seed
+        ? await EcdsaMultikey.fromJwk({ jwk: ecdsaJwkFromSeed(curve, seed), secretKey: true })
+        : await EcdsaMultikey.generate({ curve });
+      const { publicKeyMultibase, secretKeyMultibase } = await keyPair.export({
+        publicKey: true,
+        secretKey: true,
+        includeContext: false
+      });
+      return { publicKeyMultibase, privateKey: secretKeyMultibase };
+    }
+    default:
+      throw new Error(`Unsupported key type ${keyType}; expected one of ${KEY_TYPES.join(', ')}`);
+  }
+}
+
+// Add a verification method to a CID document, authorized for the given relationships; the
+// public key is expressed as a Multikey, or with `publicKeyJwk` as a JsonWebKey
+async function addVerificationMethodTo(cid, id, { keyType, publicKeyMultibase }, { relationships = VERIFICATION_RELATIONSHIPS, publicKeyJwk = false } = {}) {
+  const verificationMethod = publicKeyJwk
+    ? { id, type: 'JsonWebKey', controller: cid.id, publicKeyJwk: (await exportKey({ keyType, publicKeyMultibase }, 'jwk')).publicKey }
+    : { '@context': 'https://w3id.org/security/multikey/v1', id, type: 'Multikey', controller: cid.id, publicKeyMultibase };
+  cid.verificationMethod.push(verificationMethod);
+  for (const relationship of relationships) {
+    cid[relationship] = [...(cid[relationship] ?? []), id];
+  }
+  return verificationMethod;
+}
+
+// DID methods whose identifiers can be created for a generated CID document
+export const DID_METHODS = ['did:key', 'did:web'];
+
+/**
+ * Get the path of the DID document of a did:web, relative to the root of the website hosting it
+ * @param {string} did - did:web DID, e.g. `did:web:example.com:user:alice`
+ * @returns {string} The path, e.g. `.well-known/did.json` or `user/alice/did.json`
+ */
+export function didWebDocumentPath(did) {
+  if (!/^did:web:[^:#]+(:[^:#]+)*$/.test(did)) {
+    throw new Error(`Invalid did:web ${did}`);
+  }
+  const [, ...segments] = did.slice('did:web:'.length).split(':').map(decodeURIComponent);
+  return [...(segments.length > 0 ? segments : ['.well-known']), 'did.json'].join('/');
+}
+
+// Accept both did:web DIDs and the https URLs they are hosted at, e.g. https://example.com/user/alice
+function toDidWeb(controller) {
+  if (controller.startsWith('did:web:')) {
+    return controller;
+  }
+  let url;
+  try {
+    url = new URL(controller);
+  } catch {
+    throw new Error(`Controller ${controller} is neither a did:web nor an https URL`);
+  }
+  if (url.protocol !== 'https:') {
+    throw new Error(`Controller ${controller} is neither a did:web nor an https URL`);
+  }
+  const segments = url.pathname.split('/').filter(segment => segment !== '' && segment !== 'did.json');
+  return ['did:web', encodeURIComponent(url.host), ...segments].join(':');
+}
+
+// A did:key identifies a single key, so its DID and verification method id are derived from that key
+function toDidKey({ cid, privateKeys }) {
+  if (cid.verificationMethod.length !== 1) {
+    throw new Error(`A did:key identifies exactly one key, but ${cid.verificationMethod.length} key types were selected`);
+  }
+  const [{ id, publicKeyMultibase }] = cid.verificationMethod;
+  const did = `did:key:${publicKeyMultibase}`;
+  const keyId = `${did}#${publicKeyMultibase}`;
+
+  const renamed = { ...cid, id: did };
+  renamed.verificationMethod = [{ ...cid.verificationMethod[0], id: keyId, controller: did }];
+  for (const relationship of VERIFICATION_RELATIONSHIPS) {
+    renamed[relationship] = [keyId];
+  }
+  return { cid: renamed, privateKeys: { [keyId]: privateKeys[id] } };
+}
+
+// Resolve the keys chosen for each verification relationship, named by id or fragment
+// such as `key-2`, to their verification method ids; relationships not chosen are left empty
+function chooseRelationships(cid, relationships) {
+  const chosen = Object.fromEntries(VERIFICATION_RELATIONSHIPS.map(relationship => [relationship, []]));
+  for (const [relationship, keys] of Object.entries(relationships)) {
+    if (!VERIFICATION_RELATIONSHIPS.includes(relationship)) {
+      throw new Error(`Unsupported verification relationship ${relationship}; expected one of ${VERIFICATION_RELATIONSHIPS.join(', ')}`);
+    }
+    chosen[relationship] = keys.map((key) => {
+      const verificationMethod = cid.verificationMethod.find(vm => vm.id === key || vm.id === `${cid.id}#${key.replace(/^#/, '')}`);
+      if (!verificationMethod) {
+        const generated = cid.verificationMethod.map(vm => vm.id.slice(vm.id.indexOf('#') + 1));
+        throw new Error(`Key ${key} chosen for ${relationship} was not generated; the generated keys are ${generated.join(', ')}`);
+      }
+      return verificationMethod.id;
+    });
+  }
+  return chosen;
+}
 
 /**
  * Generates a CID (Controlled Identifier) document according to the W3C specification
- * @param {string} controller - The DID of the controller
+ * @param {string} [controller] - The DID of the controller; for `did:web` an https URL is also accepted, and for `did:key` it must be omitted
  * @param {Object} options - Options for key generation
+ * @param {string} [options.method] - DID method to create a resolvable identifier with, one of `DID_METHODS` (optional)
  * @param {boolean} [options.includeEd25519=true] - Whether to include Ed25519 verification method
  * @param {boolean} [options.includeBBS=true] - Whether to include BBS+ verification method
+ * @param {boolean} [options.includeEcdsaP256=false] - Whether to include an ECDSA P-256 verification method
+ * @param {boolean} [options.includeEcdsaP384=false] - Whether to include an ECDSA P-384 verification method
+ * @param {boolean} [options.publicKeyJwk=false] - Whether to express the public keys as JsonWebKey verification methods with `publicKeyJwk`, rather than as Multikeys
+ * @param {string} [options.seed] - Seed to derive the keys from, so that the same keys are generated every time; for test fixtures only (optional)
+ * @param {Object<string, string[]>} [options.relationships] - Keys to authorize for each verification relationship, e.g. `{ assertionMethod: ['key-2'] }`; relationships not given are left empty (optional; by default every key is authorized for every relationship)
  * @returns {Promise<{cid: Object, privateKeys: Object}>} - The CID document and associated private keys
  */
 export async function generateCID(controller, options = {}) {
   const {
+    method,
     includeEd25519 = true,
-    includeBBS = true
+    includeBBS = true,
+    includeEcdsaP256 = false,
+    includeEcdsaP384 = false,
+    publicKeyJwk = false,
+    relationships,
+    seed
   } = options;
 
+  if (method !== undefined && !DID_METHODS.includes(method)) {
+    throw new Error(`Unsupported DID method ${method}; expected one of ${DID_METHODS.join(', ')}`);
+  }
+  if (method === 'did:key') {
+    if (controller) {
+      throw new Error('A did:key is derived from the generated key, so no controller can be given');
+    }
+    if (relationships) {
+      throw new Error('A did:key authorizes its key for every verification relationship, so none can be chosen');
+    }
+    if (publicKeyJwk) {
+      throw new Error('A did:key document is derived from its multibase key, so its key cannot be expressed as a JWK');
+    }
+    // Generate under a placeholder identifier and rename once the key is known
+    controller = 'did:key:pending';
+  } else if (!controller) {
+    throw new Error('A controller is required unless the did:key method is used');
+  } else if (method === 'did:web') {
+    controller = toDidWeb(controller);
+  }
+
   const cid = {
     '@context': "https://www.w3.org/ns/cid/v1",
     id: controller,
@@ -25,57 +228,174 @@ export async function generateCID(controller, options = {}) {
     capabilityDelegation: []
   };
 
-  let i = 0;
+  const keyTypes = [
+    includeEd25519 && 'ed25519',
+    includeBBS && 'bbs',
+    includeEcdsaP256 && 'ecdsa-p256',
+    includeEcdsaP384 && 'ecdsa-p384'
+  ].filter(Boolean);
 
   const privateKeys = {};
-
-  // Generate Ed25519 key pair if requested
-  if (includeEd25519) {
-    const ed25519KeyPair = await Ed25519VerificationKey2020.generate({
-      id: `${controller}#key-${i++}`,
-      controller: controller
+  for (const [i, keyType] of keyTypes.entries()) {
+    const id = `${controller}#key-${i + 1}`;
+    const { publicKeyMultibase, privateKey } = await generateKeyPair(keyType, {
+      seed: seed !== undefined ? deriveSeedBytes(seed, `key:${id}`, SEED_LENGTHS[keyType]) : undefined
     });
-    const verificationMethod = {
-      '@context': 'https://w3id.org/security/multikey/v1',
-      id: `${controller}#key-${i}`,
-      type: 'Multikey',
-      controller: controller,
-      publicKeyMultibase: ed25519KeyPair.publicKeyMultibase
-    };
-
-    cid.verificationMethod.push(verificationMethod);
-    cid.authentication.push(verificationMethod.id);
-    cid.assertionMethod.push(verificationMethod.id);
-    cid.capabilityInvocation.push(verificationMethod.id);
-    cid.capabilityDelegation.push(verificationMethod.id);
-
-    privateKeys[verificationMethod.id] = ed25519KeyPair.privateKeyMultibase;
-  }
-
-  // Generate BBS+ key pair if requested
-  if (includeBBS) {
-    const bbsKeyPair = await Bls12381Multikey.generateBbsKeyPair({
-      id: `${controller}#key-${i++}`,
-      controller: controller,
-      algorithm: Bls12381Multikey.ALGORITHMS.BBS_BLS12381_SHA256
-    });
-    const verificationMethod = {
-      '@context': 'https://w3id.org/security/multikey/v1',
-      id: `${controller}#key-${i}`,
-      type: 'Multikey',
-      controller: controller,
-      publicKeyMultibase: bbsKeyPair.publicKeyMultibase
-    };
+    const verificationMethod = await addVerificationMethodTo(cid, id, { keyType, publicKeyMultibase }, { publicKeyJwk });
+    privateKeys[verificationMethod.id] = privateKey;
+  }
+  if (relationships) {
+    Object.assign(cid, chooseRelationships(cid, relationships));
+  }
+
+  return method === 'did:key' ? toDidKey({ cid, privateKeys }) : { cid, privateKeys };
+}
+
+// Copy a CID document so that its lifecycle can be changed without modifying the original
+function editableCid(cid) {
+  if (cid.id?.startsWith('did:key:')) {
+    throw new Error(`${cid.id} is a did:key, whose document is derived from its key and cannot be changed`);
+  }
+  return structuredClone(cid);
+}
+
+function findVerificationMethod(cid, keyId) {
+  const verificationMethod = cid.verificationMethod.find(vm => vm.id === keyId);
+  if (!verificationMethod) {
+    throw new Error(`Key ID ${keyId} not found in CID document`);
+  }
+  return verificationMethod;
+}
 
-    cid.verificationMethod.push(verificationMethod);
-    cid.authentication.push(verificationMethod.id);
-    cid.assertionMethod.push(verificationMethod.id);
-    cid.capabilityInvocation.push(verificationMethod.id);
-    cid.capabilityDelegation.push(verificationMethod.id);
+// Key ids are numbered; new keys take the number after the highest one in use
+function nextKeyId(cid) {
+  const numbers = cid.verificationMethod
+    .map(vm => vm.id.match(/#key-(\d+)$/)?.[1])
+    .filter(Boolean)
+    .map(Number);
+  return `${cid.id}#key-${Math.max(0, ...numbers) + 1}`;
+}
 
-    privateKeys[verificationMethod.id] = bbsKeyPair.secretKeyMultibase;
+/**
+ * Add a newly generated key to a CID document
+ * @param {Object} cid - CID document to add the key to
+ * @param {string} keyType - Key type, one of `KEY_TYPES`
+ * @returns {Promise<{cid: Object, privateKeys: Object, keyId: string}>} The updated CID document, the private key of the new key and its ID
+ */
+export async function addVerificationMethod(cid, keyType) {
+  const updated = editableCid(cid);
+  const { publicKeyMultibase, privateKey } = await generateKeyPair(keyType);
+  const { id } = await addVerificationMethodTo(updated, nextKeyId(updated), { keyType, publicKeyMultibase });
+  return { cid: updated, privateKeys: { [id]: privateKey }, keyId: id };
+}
 
+/**
+ * Add an existing key, such as one created by another tool, to a CID document
+ * @param {Object} cid - CID document to add the key to
+ * @param {Object} key - The key, given as exactly one of `jwk` or `pem`
+ * @param {Object} [key.jwk] - Public or private JWK of an Ed25519, BBS, P-256 or P-384 key
+ * @param {string} [key.pem] - PEM encoded SPKI public key or PKCS #8 private key of an Ed25519, P-256 or P-384 key
+ * @param {Object} [options] - Options for the verification method
+ * @param {string[]} [options.relationships] - Verification relationships to authorize the key for (optional; defaults to every relationship)
+ * @param {boolean} [options.publicKeyJwk=false] - Whether to express the key as a JsonWebKey verification method with `publicKeyJwk`, rather than as a Multikey
+ * @returns {Promise<{cid: Object, privateKeys: Object, keyId: string}>} The updated CID document, the private key if one was given, and the ID of the key
+ */
+export async function importVerificationMethod(cid, { jwk, pem }, { relationships = VERIFICATION_RELATIONSHIPS, publicKeyJwk = false } = {}) {
+  if ((jwk === undefined) === (pem === undefined)) {
+    throw new Error('Exactly one of a JWK or a PEM key must be given');
   }
+  const unsupported = relationships.filter(relationship => !VERIFICATION_RELATIONSHIPS.includes(relationship));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported verification relationship ${unsupported[0]}; expected one of ${VERIFICATION_RELATIONSHIPS.join(', ')}`);
+  }
+
+  const updated = editableCid(cid);
+  const { keyType, publicKeyMultibase, privateKey } = jwk !== undefined ? await keyFromJwk(jwk) : await keyFromPem(pem);
+  const existing = (await toMultikeyCid(updated)).verificationMethod.find(vm => vm.publicKeyMultibase === publicKeyMultibase);
+  if (existing) {
+    throw new Error(`Key is already in the CID document as ${existing.id}`);
+  }
+
+  const { id } = await addVerificationMethodTo(updated, nextKeyId(updated), { keyType, publicKeyMultibase }, { relationships, publicKeyJwk });
+  return { cid: updated, privateKeys: privateKey ? { [id]: privateKey } : {}, keyId: id };
+}
 
-  return { cid, privateKeys };
+/**
+ * Express a JsonWebKey verification method as a Multikey; other verification methods are returned unchanged
+ * @param {Object} verificationMethod - Verification method
+ * @returns {Promise<Object>} The Multikey verification method
+ */
+export async function toMultikeyVerificationMethod(verificationMethod) {
+  if (!verificationMethod.publicKeyJwk || verificationMethod.publicKeyMultibase) {
+    return verificationMethod;
+  }
+  const { publicKeyJwk, ...rest } = verificationMethod;
+  if (publicKeyJwk.d !== undefined) {
+    throw new Error(`Verification method ${verificationMethod.id} discloses a private key in its publicKeyJwk`);
+  }
+  const { publicKeyMultibase } = await keyFromJwk(publicKeyJwk);
+  return { '@context': 'https://w3id.org/security/multikey/v1', ...rest, type: 'Multikey', publicKeyMultibase };
+}
+
+/**
+ * Express every JsonWebKey verification method of a CID document as a Multikey, the form used for signing and verification
+ * @param {Object} cid - CID document
+ * @returns {Promise<Object>} The CID document, unchanged if it has no JsonWebKey verification methods
+ */
+export async function toMultikeyCid(cid) {
+  if (!cid?.verificationMethod?.some(vm => vm.publicKeyJwk && !vm.publicKeyMultibase)) {
+    return cid;
+  }
+  return { ...cid, verificationMethod: await Promise.all(cid.verificationMethod.map(toMultikeyVerificationMethod)) };
+}
+
+/**
+ * Replace a key of a CID document with a newly generated key of the same type and
+ * relationships, marking the old key as expiring. Proofs the old key created before
+ * it expired remain verifiable.
+ * @param {Object} cid - CID document holding the key
+ * @param {string} keyId - ID of the key to rotate
+ * @param {Object} options - Options for rotation
+ * @param {Date} options.expires - When the old key expires; it can sign until then
+ * @returns {Promise<{cid: Object, privateKeys: Object, keyId: string}>} The updated CID document, the private key of the new key and its ID
+ */
+export async function rotateVerificationMethod(cid, keyId, { expires } = {}) {
+  // Issuers may still be signing with the old key, so how long they have is for the controller to choose
+  if (!(expires instanceof Date) || Number.isNaN(expires.getTime())) {
+    throw new Error(`Rotating ${keyId} requires the date the old key expires`);
+  }
+  const updated = editableCid(cid);
+  const verificationMethod = findVerificationMethod(updated, keyId);
+  if (verificationMethod.revoked !== undefined) {
+    throw new Error(`Key ${keyId} was revoked at ${verificationMethod.revoked} and cannot be rotated`);
+  }
+
+  const relationships = VERIFICATION_RELATIONSHIPS.filter(relationship =>
+    updated[relationship]?.some(method => (typeof method === 'string' ? method : method.id) === keyId)
+  );
+  const keyType = getKeyType(verificationMethod);
+  const { publicKeyMultibase, privateKey } = await generateKeyPair(keyType);
+  // The new key is expressed in the same way as the key it replaces
+  const { id } = await addVerificationMethodTo(updated, nextKeyId(updated), { keyType, publicKeyMultibase }, {
+    relationships,
+    publicKeyJwk: verificationMethod.type === 'JsonWebKey'
+  });
+  verificationMethod.expires = expires.toISOString();
+
+  return { cid: updated, privateKeys: { [id]: privateKey }, keyId: id };
+}
+
+/**
+ * Mark a key of a CID document as revoked; no proof by a revoked key verifies, including
+ * proofs it made before it was revoked
+ * @param {Object} cid - CID document holding the key
+ * @param {string} keyId - ID of the key to revoke
+ * @param {Object} [options] - Options for revocation
+ * @param {Date} [options.revoked=new Date()] - When the key was revoked
+ * @returns {Object} The updated CID document
+ */
+export function revokeVerificationMethod(cid, keyId, { revoked = new Date() } = {}) {
+  const updated = editableCid(cid);
+  findVerificationMethod(updated, keyId).revoked = revoked.toISOString();
+  return updated;
 }
@@ -3,10 +3,115 @@ rm -rf privatekeys.jsonld
 rm -rf signed-residence.jsonld
 rm -rf bbs-signed-residence.jsonld
 rm -rf derived-residence.jsonld
+rm -rf bound-derived-residence.jsonld
+rm -rf bound-preprocessed.json
+rm -rf presentation.jsonld
+rm -rf rdfc-signed-residence.jsonld
+rm -rf jcs-signed-residence.jsonld
+rm -rf jcs-preprocessed.json
+rm -rf ecdsa-signed-residence.jsonld
+rm -rf ecdsa-sd-signed-residence.jsonld
+rm -rf ecdsa-sd-derived-residence.jsonld
+rm -rf residence.jwt
+rm -rf residence.sd-jwt
+rm -rf residence.cose
+rm -rf disclosed-residence.sd-jwt
+rm -rf ./did-web-root
+rm -rf web-privatekeys.jsonld
+rm -rf web-signed-residence.jsonld
+rm -rf web-bbs-signed-residence.jsonld
+rm -rf web-derived-residence.jsonld
+rm -rf web-preprocessed.json
+rm -rf did-key.jsonld
+rm -rf did-key-privatekeys.jsonld
+rm -rf did-key-signed-residence.jsonld
+rm -rf encrypted-privatekeys.jsonld
+rm -rf keystore-signed-residence.jsonld
+rm -rf kms-signed-residence.jsonld
+rm -rf kms-bbs-signed-residence.jsonld
+rm -rf kms-derived-residence.jsonld
+rm -rf kms-presentation.jsonld
+rm -rf lifecycle-alice.jsonld
+rm -rf lifecycle-privatekeys.jsonld
+rm -rf rotated-signed-residence.jsonld
+rm -rf expired-signed-residence.jsonld
+rm -rf bob.jsonld
+rm -rf bob-privatekeys.jsonld
+rm -rf bob-signed-residence.jsonld
+rm -rf bob-unauthorized-residence.jsonld
+rm -rf bob-presentation.jsonld
+rm -rf imported-key.pem
+rm -rf imported.jsonld
+rm -rf imported-privatekeys.jsonld
+rm -rf exported-key.jwk
+rm -rf imported-signed-residence.jsonld
+rm -rf imported-jwk-signed-residence.jsonld
+rm -rf seeded-a
+rm -rf seeded-b
+rm -rf context-bundle.json
+rm -rf offline-content
+rm -rf offline-signed-residence.jsonld
+rm -rf cache-test
+rm -rf wrong-context-pins.json
+rm -rf tampered-residence.jsonld
+rm -rf malformed-residence.jsonld
+rm -rf malformed-residence.log
+rm -rf untyped-residence.jwt
+rm -rf untyped-residence.log
+rm -rf untyped-residence.cose
+rm -rf untyped-residence-cose.log
+rm -rf critical-residence.jwt
+rm -rf critical-residence.log
+rm -rf duplicate-disclosure-residence.sd-jwt
+rm -rf duplicate-disclosure.log
+rm -rf mistyped-derived-residence.jsonld
+rm -rf mistyped-derive.log
+rm -rf revocation-list.jsonld
+rm -rf oversized-list.jsonld
+rm -rf oversized-signed-list.jsonld
+rm -rf oversized-status-lists.json
+rm -rf oversized-list.log
+rm -rf revocation-list.jsonld.allocations.json
+rm -rf status-lists.json
+rm -rf status-signed-residence.jsonld
+rm -rf status-bbs-signed-residence.jsonld
+rm -rf status-derived-residence.jsonld
 rm -rf ./generated
 rm -rf ./generate-distributed
+rm -rf ./generate-rdfc
+rm -rf ./generate-ecdsa
 rm -rf generated.ttl
 rm -rf generated-distributed.ttl
 rm -rf generated-dereferenced.ttl
 rm -rf generated-distributed-dereferenced.ttl
-rm -rf generated-distributed-collected-dereferenced.ttl
\ No newline at end of file
+rm -rf generated-distributed-collected-dereferenced.ttl
+rm -rf spec-derived-residence.jsonld
+rm -rf frame-derived-residence.jsonld
+rm -rf reveal-frame.json
+rm -rf reveal-specs.json
+rm -rf ./generate-reveal
+rm -rf mandatory-signed-residence.jsonld
+rm -rf mandatory-derived-residence.jsonld
+rm -rf mandatory-policy.json
+rm -rf policy-signed-residence.jsonld
+rm -rf schema-loader.json
+rm -rf strict-schema-loader.json
+rm -rf strict-schema.json
+rm -rf schema-residence.jsonld
+rm -rf schema-invalid-residence.jsonld
+rm -rf schema-signed-residence.jsonld
+rm -rf schema-invalid-signed-residence.jsonld
+rm -rf residence-shapes.ttl
+rm -rf strict-residence-shapes.ttl
+rm -rf shacl-report.ttl
+rm -rf shacl-signed-residence.jsonld
+rm -rf shacl-invalid-signed-residence.jsonld
+rm -rf generated-distributed.nq
+rm -rf generated-distributed-again.nq
+rm -rf generated-distributed.trig
+rm -rf generated-distributed-collected.jsonld
+rm -rf generated-distributed.txt
+rm -rf generated-distributed-proofs.ttl
+rm -rf generated-distributed-trig-dereferenced.nq
+rm -rf mallory.jsonld
+rm -rf mallory-presentation.jsonld
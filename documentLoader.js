@@ -1,37 +1,152 @@
 import * as vc from '@digitalbazaar/vc';
-import { createHash } from 'node:crypto';
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { didWebDocumentPath, getKeyType, toMultikeyVerificationMethod } from './cid.js';
+import { contextHash } from './lib/contextBundle.js';
+import { readCacheEntry, writeCacheEntry } from './lib/contextCache.js';
+import { keyFromJwk } from './lib/keyFormats.js';
 
-// Get the directory path of the current file
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// Helper function to fetch a JSON document, failing with its URL
+const fetchJson = async (url) => {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (error) {
+    throw new Error(`Failed to load ${url}: ${error.message}`);
+  }
+  if (!res.ok) {
+    throw new Error(`Failed to load ${url}: HTTP ${res.status}`);
+  }
+  return res.json();
+};
 
-// Create cache directories if they don't exist
-const SCRIPT_CACHE_DIR = path.join(__dirname, '.cache');
-const PROCESS_CACHE_DIR = '.cache';
-fs.mkdir(SCRIPT_CACHE_DIR, { recursive: true }).catch(console.error);
-fs.mkdir(PROCESS_CACHE_DIR, { recursive: true }).catch(console.error);
+// Error for a document that could only be loaded from the network while offline
+const offlineError = (url) => new Error(`Cannot load ${url} offline; add it to the document loader content`);
 
-// Helper function to get cache file path for a URL
-const getCachePath = (url, isRead = false) => {
-  const hash = createHash('sha256').update(url).digest('hex');
-  return path.join(isRead ? SCRIPT_CACHE_DIR : PROCESS_CACHE_DIR, `${hash}.json`);
-};
+// DID resolvers by method name; each takes a DID and resolver options and returns its DID document
+const didResolvers = new Map();
+
+/**
+ * Register a resolver for a DID method, replacing any existing resolver for it
+ * @param {string} method - DID method name, e.g. `web` for did:web
+ * @param {function(string, Object): Promise<Object>} resolver - Resolves a DID to its DID document
+ */
+export function registerDidResolver(method, resolver) {
+  didResolvers.set(method, resolver);
+}
+
+/**
+ * Resolve a DID to its DID document, with every verification method expressed as a Multikey
+ * @param {string} did - DID to resolve (any fragment is ignored)
+ * @param {Object} [options] - Resolver options
+ * @param {string} [options.didWebRoot] - Directory to resolve did:web documents from instead of fetching them (optional)
+ * @param {boolean} [options.offline] - Fail instead of fetching did:web documents (optional)
+ * @returns {Promise<Object>} The DID document
+ */
+export async function resolveDid(did, options = {}) {
+  const [scheme, method] = did.split(':');
+  const resolver = scheme === 'did' && didResolvers.get(method);
+  if (!resolver) {
+    throw new Error(`Unsupported DID method did:${method} for ${did}`);
+  }
+  return resolver(did.split('#')[0], options);
+}
+
+// Create a single-key DID document for did:key and did:jwk
+function singleKeyDidDocument(did, fragment, publicKeyMultibase) {
+  const verificationMethod = {
+    '@context': 'https://w3id.org/security/multikey/v1',
+    id: `${did}#${fragment}`,
+    type: 'Multikey',
+    controller: did,
+    publicKeyMultibase
+  };
+  return {
+    '@context': ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/multikey/v1'],
+    id: did,
+    verificationMethod: [verificationMethod],
+    authentication: [verificationMethod.id],
+    assertionMethod: [verificationMethod.id],
+    capabilityInvocation: [verificationMethod.id],
+    capabilityDelegation: [verificationMethod.id]
+  };
+}
 
-// Helper function to try reading from a cache path
-const tryReadCache = async (cachePath) => {
+registerDidResolver('key', async (did) => {
+  const publicKeyMultibase = did.slice('did:key:'.length);
+  // Throws for key types this package cannot verify with
+  getKeyType({ id: did, publicKeyMultibase });
+  return singleKeyDidDocument(did, publicKeyMultibase, publicKeyMultibase);
+});
+
+registerDidResolver('jwk', async (did) => {
+  let jwk;
   try {
-    const cachedData = await fs.readFile(cachePath, 'utf8');
-    return JSON.parse(cachedData);
-  } catch (e) {
-    return null;
+    jwk = JSON.parse(Buffer.from(did.slice('did:jwk:'.length), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error(`Invalid did:jwk ${did}: ${error.message}`);
   }
-};
+  // The rest of this package works with Multikey verification methods, so the JWK is converted
+  const { publicKeyMultibase } = await keyFromJwk(jwk);
+  return singleKeyDidDocument(did, '0', publicKeyMultibase);
+});
 
-// Create a custom document loader
-export const createDocumentLoader = (documentLoaderContent = {}) => {
-  return async (url) => {
+registerDidResolver('web', async (did, { didWebRoot, offline } = {}) => {
+  // did:web:example.com:user:alice is hosted at https://example.com/user/alice/did.json,
+  // and did:web:example.com at https://example.com/.well-known/did.json
+  const host = decodeURIComponent(did.slice('did:web:'.length).split(':')[0]);
+  const documentPath = didWebDocumentPath(did);
+
+  let document;
+  if (didWebRoot) {
+    const filePath = path.join(didWebRoot, ...documentPath.split('/'));
+    try {
+      document = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to resolve ${did} from ${filePath}: ${error.message}`);
+    }
+  } else {
+    const url = `https://${host}/${documentPath}`;
+    if (offline) {
+      throw new Error(`Cannot resolve ${did} from ${url} offline; use a did:web root directory`);
+    }
+    let res;
+    try {
+      res = await fetch(url);
+    } catch (error) {
+      throw new Error(`Failed to resolve ${did} from ${url}: ${error.message}`);
+    }
+    if (!res.ok) {
+      throw new Error(`Failed to resolve ${did} from ${url}: HTTP ${res.status}`);
+    }
+    document = await res.json();
+  }
+
+  if (document.id !== did) {
+    throw new Error(`DID document for ${did} has id ${document.id}`);
+  }
+
+  const absolute = (id) => (typeof id === 'string' && id.startsWith('#') ? `${did}${id}` : id);
+  const verificationMethod = [];
+  for (const vm of document.verificationMethod ?? []) {
+    verificationMethod.push(await toMultikeyVerificationMethod({ ...vm, id: absolute(vm.id) }));
+  }
+  const relationships = Object.fromEntries(
+    ['authentication', 'assertionMethod', 'capabilityInvocation', 'capabilityDelegation']
+      .filter(relationship => Array.isArray(document[relationship]))
+      .map(relationship => [relationship, document[relationship].map(method => typeof method === 'string' ? absolute(method) : method)])
+  );
+  return { ...document, verificationMethod, ...relationships };
+});
+
+// Create a custom document loader; documents that change over time, such as
+// status lists, must be loaded with `cache: false`. DIDs are resolved with the
+// registered DID resolvers, and DID URLs with a fragment to their verification method.
+// With `offline`, documents are only loaded from the given content, the caches and
+// the contexts built into the libraries, and anything else fails with its URL.
+// Documents whose URL is in `contextPins` must match the pinned SHA-256 hash
+export const createDocumentLoader = (documentLoaderContent = {}, { cache = true, didWebRoot, offline = false, contextPins = {} } = {}) => {
+  const load = async (url) => {
     // First check if URL exists in documentLoaderContent
     if (documentLoaderContent[url]) {
       return {
@@ -41,40 +156,72 @@ export const createDocumentLoader = (documentLoaderContent = {}) => {
       };
     }
 
-    // Then try reading from script-relative cache
-    const scriptCachePath = getCachePath(url, true);
-    const scriptCacheResult = await tryReadCache(scriptCachePath);
-    if (scriptCacheResult) {
-      return scriptCacheResult;
+    if (url.startsWith('did:')) {
+      const didDocument = await resolveDid(url, { didWebRoot, offline });
+      const document = url.includes('#')
+        ? didDocument.verificationMethod.find(vm => vm.id === url)
+        : didDocument;
+      if (!document) {
+        throw new Error(`Verification method ${url} not found in DID document`);
+      }
+      return {
+        contextUrl: null,
+        document,
+        documentUrl: url
+      };
     }
 
-    // Then try reading from process-relative cache
-    const processCachePath = getCachePath(url, false);
-    const processCacheResult = await tryReadCache(processCachePath);
-    if (processCacheResult) {
-      return processCacheResult;
+    if (!cache) {
+      if (offline) {
+        throw offlineError(url);
+      }
+      return {
+        contextUrl: null,
+        document: await fetchJson(url),
+        documentUrl: url
+      };
+    }
+
+    // Then try reading from the package cache and the process cache
+    const cacheResult = await readCacheEntry(url);
+    if (cacheResult) {
+      return cacheResult;
     }
 
     try {
       const result = await vc.defaultDocumentLoader(url);
-      // Cache the result in process-relative cache
-      await fs.writeFile(processCachePath, JSON.stringify(result));
+      if (!offline) {
+        // Cache the result in process-relative cache
+        await writeCacheEntry(url, result);
+      }
       return result;
     } catch (e) {
       // Suppress error
     }
 
+    if (offline) {
+      throw offlineError(url);
+    }
+
     // If not in cache and default loader failed, fetch and cache
     const res = {
       contextUrl: null,
-      document: await (await fetch(url)).json(),
+      document: await fetchJson(url),
       documentUrl: url
     };
 
     // Cache the result in process-relative cache
-    await fs.writeFile(processCachePath, JSON.stringify(res));
+    await writeCacheEntry(url, res);
     return res;
   };
+
+  return async (url) => {
+    const result = await load(url);
+    if (contextPins[url] && contextHash(result.document) !== contextPins[url]) {
+      throw new Error(`${url} does not match its pinned hash ${contextPins[url]}; it may have been changed or tampered with`);
+    }
+    return result;
+  };
 };
 
 // Export default document loader for backward compatibility
@@ -1,27 +1,94 @@
 import * as bbs2023Cryptosuite from '@digitalbazaar/bbs-2023-cryptosuite';
 import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
 import { DataIntegrityProof } from '@digitalbazaar/data-integrity';
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import { cryptosuite as ecdsaRdfc2019Cryptosuite } from '@digitalbazaar/ecdsa-rdfc-2019-cryptosuite';
+import * as ecdsaSd2023Cryptosuite from '@digitalbazaar/ecdsa-sd-2023-cryptosuite';
+import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
 import { Ed25519Signature2020 } from '@digitalbazaar/ed25519-signature-2020';
 import { Ed25519VerificationKey2020 } from '@digitalbazaar/ed25519-verification-key-2020';
+import * as eddsaJcs2022Cryptosuite from '@digitalbazaar/eddsa-jcs-2022-cryptosuite';
+import { cryptosuite as eddsaRdfc2022CryptoSuite } from '@digitalbazaar/eddsa-rdfc-2022-cryptosuite';
 import * as vc from '@digitalbazaar/vc';
-import { write } from '@jeswr/pretty-turtle';
 import jsigs from 'jsonld-signatures';
 import { DataFactory } from 'n3';
 import { createHash } from 'node:crypto';
 import fs from 'node:fs/promises';
+import path from 'node:path';
 import { URL } from 'node:url';
 import dereference from 'rdf-dereference-store';
-import { generateCID } from './cid.js';
+import { generateCID, getKeyType, toMultikeyCid } from './cid.js';
 import { createDocumentLoader } from './documentLoader.js';
+import { collectContextUrls, contextBundleContent, createContextBundle, isContextBundle } from './lib/contextBundle.js';
+import { writeCacheEntry } from './lib/contextCache.js';
+import {
+  decodeEnvelope,
+  getEnvelopeType,
+  joseAlgorithmForKeyType,
+  selectDisclosures,
+  signEnvelope
+} from './lib/envelope.js';
+import {
+  DEFAULT_STATUS_LIST_LENGTH,
+  STATUS_PURPOSES,
+  allocateIndex,
+  createEncodedList,
+  getListLength,
+  getStatus,
+  setStatus
+} from './lib/statusList.js';
+import { parseDisclosureProofValue } from './lib/proofValue.js';
+import { getJsonSchema, validateCredentialSchemas, validateJsonSchema } from './lib/credentialSchema.js';
+import { resolveMandatoryPointers } from './lib/mandatoryPointers.js';
+import { resolveRevealPointers, validateRevealPointers } from './lib/revealPointers.js';
+import { RDF_FORMATS, canonicalizeQuads, formatFromPath, serializeQuads } from './lib/rdfFormats.js';
+import { loadCredentialGraph, validateShapes } from './lib/shacl.js';
 import { _createVerifyData } from './lib/verify.js';
-export { documentLoader, createDocumentLoader } from './documentLoader.js';
+import {
+  VerificationErrorCode,
+  checkCredentialShape,
+  checkValidityPeriod,
+  checkVerificationMethodLifecycle,
+  checkVerificationRelationship,
+  reportError,
+  reportProofError,
+  summarizeProofResults,
+  withErrorCode
+} from './lib/verificationReport.js';
+export {
+  DID_METHODS,
+  KEY_TYPES,
+  VERIFICATION_RELATIONSHIPS,
+  addVerificationMethod,
+  didWebDocumentPath,
+  getKeyType,
+  importVerificationMethod,
+  revokeVerificationMethod,
+  rotateVerificationMethod,
+  toMultikeyCid,
+  toMultikeyVerificationMethod
+} from './cid.js';
+export { documentLoader, createDocumentLoader, registerDidResolver, resolveDid } from './documentLoader.js';
+export { CONTEXT_BUNDLE_TYPE, collectContextUrls, contextHash, isContextBundle } from './lib/contextBundle.js';
+export { clearCache, listCacheEntries, pruneCache, verifyCacheEntries } from './lib/contextCache.js';
+export { ENVELOPES, getEnvelopeType } from './lib/envelope.js';
+export { createCommandSigner } from './lib/commandSigner.js';
+export { decryptPrivateKeys, encryptPrivateKeys, isEncryptedKeystore } from './lib/keystore.js';
+export { KEY_FORMATS, exportKey, keyFromJwk, keyFromPem } from './lib/keyFormats.js';
+export { CREDENTIAL_SCHEMA_TYPES, getJsonSchema, validateJsonSchema } from './lib/credentialSchema.js';
+export { DEFAULT_MANDATORY_POLICY, resolveMandatoryPointers } from './lib/mandatoryPointers.js';
+export { compileFrame, compileRevealSpec, getMandatoryPointers, listDisclosablePointers, resolveRevealPointers, validateRevealPointers } from './lib/revealPointers.js';
+export { deriveSeedBytes, deriveSeedUuid } from './lib/seed.js';
+export { RDF_FORMATS, canonicalizeQuads, formatFromPath, serializeQuads } from './lib/rdfFormats.js';
+export { parseShapes } from './lib/shacl.js';
+export { VerificationErrorCode, VerificationExitCode, exitCodeForReport } from './lib/verificationReport.js';
 
 const {
   createSignCryptosuite,
   createVerifyCryptosuite,
   createDiscloseCryptosuite,
 } = bbs2023Cryptosuite;
-const { purposes: { AssertionProofPurpose } } = jsigs;
+const { purposes: { AssertionProofPurpose, AuthenticationProofPurpose } } = jsigs;
 
 // Helper function to sanitize URL by removing fragment
 const sanitizeUrl = (url) => {
@@ -47,6 +114,124 @@ const concat = (b1, b2) => {
   return rval;
 }
 
+/**
+ * Suites that can be used with each key type; the first one is the default
+ */
+export const CRYPTOSUITES = {
+  ed25519: ['Ed25519Signature2020', 'eddsa-rdfc-2022', 'eddsa-jcs-2022'],
+  bbs: ['bbs-2023'],
+  'ecdsa-p256': ['ecdsa-rdfc-2019', 'ecdsa-sd-2023'],
+  'ecdsa-p384': ['ecdsa-rdfc-2019']
+};
+
+// Suites whose base proofs are only verifiable after deriving a disclosure proof
+const SELECTIVE_DISCLOSURE_CRYPTOSUITES = ['bbs-2023', 'ecdsa-sd-2023'];
+
+// ecdsa-sd-2023 base signatures are only implemented for P-256
+const ECDSA_SD_ALGORITHMS = ['P-256'];
+
+// Resolve the suite to use with a key, defaulting by key type
+function resolveCryptosuite(verificationMethod, cryptosuite) {
+  const keyType = getKeyType(verificationMethod);
+  const name = cryptosuite ?? CRYPTOSUITES[keyType][0];
+  if (!CRYPTOSUITES[keyType].includes(name)) {
+    throw new Error(`Cryptosuite ${name} cannot be used with ${keyType} key ${verificationMethod.id}; expected one of ${CRYPTOSUITES[keyType].join(', ')}`);
+  }
+  return name;
+}
+
+// Get the Data Integrity cryptosuite for an EdDSA or ECDSA cryptosuite name
+function dataIntegrityCryptosuite(name, { sign = false, mandatoryPointers } = {}) {
+  switch (name) {
+    case 'eddsa-rdfc-2022':
+      return eddsaRdfc2022CryptoSuite;
+    case 'eddsa-jcs-2022':
+      return sign ? eddsaJcs2022Cryptosuite.createSignCryptosuite() : eddsaJcs2022Cryptosuite.createVerifyCryptosuite();
+    case 'ecdsa-rdfc-2019':
+      return ecdsaRdfc2019Cryptosuite;
+    case 'ecdsa-sd-2023':
+      return sign
+        ? ecdsaSd2023Cryptosuite.createSignCryptosuite({ mandatoryPointers, requiredAlgorithm: ECDSA_SD_ALGORITHMS })
+        : ecdsaSd2023Cryptosuite.createVerifyCryptosuite({ requiredAlgorithm: ECDSA_SD_ALGORITHMS });
+    default:
+      throw new Error(`Unsupported cryptosuite ${name}`);
+  }
+}
+
+// Import a Multikey key pair for an Ed25519 or ECDSA verification method
+function multikeyFrom(verificationMethod, key) {
+  return getKeyType(verificationMethod) === 'ed25519'
+    ? Ed25519Multikey.from({ ...verificationMethod, ...key })
+    : EcdsaMultikey.from({ ...verificationMethod, ...key });
+}
+
+// Signature algorithm of each key type, as reported by its Multikey signer
+const SIGNER_ALGORITHMS = {
+  ed25519: 'Ed25519',
+  bbs: Bls12381Multikey.ALGORITHMS.BBS_BLS12381_SHA256,
+  'ecdsa-p256': 'P-256',
+  'ecdsa-p384': 'P-384'
+};
+
+// Get the signer for a key: the external signer when one is given, otherwise a
+// signer for the private key in `privateKeys`
+async function getSigner(verificationMethod, { privateKeys, signer }) {
+  const keyType = getKeyType(verificationMethod);
+  const algorithm = SIGNER_ALGORITHMS[keyType];
+
+  // Proofs by retired keys would never verify
+  const lifecycleError = checkVerificationMethodLifecycle(verificationMethod);
+  if (lifecycleError) {
+    throw new Error(`Cannot sign: ${lifecycleError.message}`);
+  }
+
+  if (signer) {
+    const external = typeof signer === 'function' ? { sign: ({ data }) => signer(data) } : signer;
+    if (external.id !== undefined && external.id !== verificationMethod.id) {
+      throw new Error(`Signer ${external.id} does not match key ${verificationMethod.id}`);
+    }
+    if (external.algorithm !== undefined && external.algorithm !== algorithm) {
+      throw new Error(`Signer algorithm ${external.algorithm} does not match ${keyType} key ${verificationMethod.id}; expected ${algorithm}`);
+    }
+    if (typeof external.sign !== 'function') {
+      throw new Error(`Signer for ${verificationMethod.id} must implement sign({ data })`);
+    }
+
+    const wrapped = { id: verificationMethod.id, algorithm, sign: (args) => external.sign(args) };
+    // BBS signers without multisign are given the CBOR encoded [header, messages] to sign
+    if (typeof external.multisign === 'function') {
+      wrapped.multisign = (args) => external.multisign(args);
+    }
+    if (keyType === 'bbs') {
+      // bbs-2023 proof values embed the public key of the signer
+      ({ publicKey: wrapped.publicKey } = await Bls12381Multikey.from(verificationMethod, { algorithm }));
+    }
+    return wrapped;
+  }
+
+  const privateKey = privateKeys?.[verificationMethod.id];
+  if (!privateKey) {
+    throw new Error(`Private key for ${verificationMethod.id} not found`);
+  }
+  const keyPair = keyType === 'bbs'
+    ? await Bls12381Multikey.from({ ...verificationMethod, secretKeyMultibase: privateKey }, { algorithm })
+    : await multikeyFrom(verificationMethod, { secretKeyMultibase: privateKey });
+  return keyPair.signer();
+}
+
+// Create a suite that signs with the given Ed25519 or ECDSA signer; proofs are created now unless a date is given
+function createSignSuite(signer, cryptosuite, { mandatoryPointers, date } = {}) {
+  if (cryptosuite === 'Ed25519Signature2020') {
+    return new Ed25519Signature2020({ signer, date });
+  }
+
+  return new DataIntegrityProof({
+    signer,
+    date,
+    cryptosuite: dataIntegrityCryptosuite(cryptosuite, { sign: true, mandatoryPointers })
+  });
+}
+
 // TODO: This is a hack to get the verification method from the CID document
 // I think this is actually an upstream bug that should be reported
 class MyDataIntegrityProof extends DataIntegrityProof {
@@ -61,6 +246,130 @@ class MyDataIntegrityProof extends DataIntegrityProof {
   }
 }
 
+// Record which check failed on the errors a suite raises. Its verification method lookup fails when
+// the method cannot be resolved; anything else but a context failing to load is the proof itself
+function classifySuiteErrors(suite) {
+  const getVerificationMethod = suite.getVerificationMethod.bind(suite);
+  suite.getVerificationMethod = async (options) => {
+    try {
+      return await getVerificationMethod(options);
+    } catch (error) {
+      throw withErrorCode(error, VerificationErrorCode.VERIFICATION_METHOD_NOT_FOUND);
+    }
+  };
+  const verifyProof = suite.verifyProof.bind(suite);
+  suite.verifyProof = async (options) => {
+    const result = await verifyProof(options);
+    if (!result.verified && !result.error?.name?.startsWith('jsonld.')) {
+      withErrorCode(result.error, VerificationErrorCode.INVALID_SIGNATURE);
+    }
+    return result;
+  };
+  return suite;
+}
+
+// A credential's proof fails its purpose when the issuer has not authorized the verification method
+class IssuerAssertionPurpose extends vc.CredentialIssuancePurpose {
+  async validate(proof, options) {
+    const result = await super.validate(proof, options);
+    if (!result.valid) {
+      withErrorCode(result.error, VerificationErrorCode.VERIFICATION_METHOD_NOT_AUTHORIZED);
+    }
+    return result;
+  }
+}
+
+// A presentation's proof fails its purpose when it was made for another challenge or domain,
+// or when the holder has not authorized the verification method
+class HolderAuthenticationPurpose extends AuthenticationProofPurpose {
+  async validate(proof, options) {
+    const domains = [].concat(proof.domain ?? []);
+    if (proof.challenge !== this.challenge || (this.domain !== undefined && !domains.includes(this.domain))) {
+      return {
+        valid: false,
+        error: withErrorCode(
+          new Error(`The proof was made for challenge ${proof.challenge} and domain ${JSON.stringify(proof.domain)}, expected challenge ${this.challenge}${this.domain === undefined ? '' : ` and domain ${this.domain}`}`),
+          VerificationErrorCode.PROOF_PURPOSE_MISMATCH
+        )
+      };
+    }
+    const result = await super.validate(proof, options);
+    if (!result.valid) {
+      withErrorCode(result.error, VerificationErrorCode.VERIFICATION_METHOD_NOT_AUTHORIZED);
+    }
+    return result;
+  }
+}
+
+const getIssuerId = (document) => typeof document.issuer === 'string' ? document.issuer : document.issuer?.id;
+
+/**
+ * Encode the presentation header that binds a derived BBS proof to a verifier session.
+ * A lone presentation header or nonce is used as is; together they are encoded as JSON
+ * @param {Object} [options] - Presentation header options
+ * @param {string} [options.presentationHeader] - Presentation header agreed with the verifier (optional)
+ * @param {string} [options.nonce] - Session challenge provided by the verifier (optional)
+ * @returns {Uint8Array} The UTF-8 encoded presentation header, empty if neither is given
+ */
+export function encodePresentationHeader({ presentationHeader, nonce } = {}) {
+  if (presentationHeader === undefined && nonce === undefined) {
+    return new Uint8Array();
+  }
+  const header = presentationHeader !== undefined && nonce !== undefined
+    ? JSON.stringify({ presentationHeader, nonce })
+    : presentationHeader ?? nonce;
+  return new TextEncoder().encode(header);
+}
+
+// Check that a derived proof is bound to the presentation header the verifier expects,
+// returning an error message if it is not
+function checkPresentationHeader(proof, options) {
+  const expected = encodePresentationHeader(options);
+  if (proof.cryptosuite !== 'bbs-2023') {
+    return expected.length > 0 ? `Only derived bbs-2023 proofs can be bound to a presentation header, not ${proof.cryptosuite ?? proof.type} proofs` : null;
+  }
+
+  let actual;
+  try {
+    ({ presentationHeader: actual } = parseDisclosureProofValue({ proof }));
+  } catch {
+    // Base proofs have no presentation header, and fail verification anyway
+    return null;
+  }
+
+  if (expected.length === 0 && actual.length > 0) {
+    return 'Derived proof is bound to a presentation header; the expected presentation header or nonce is required';
+  }
+  if (!Buffer.from(actual).equals(Buffer.from(expected))) {
+    return 'Derived proof is not bound to the expected presentation header or nonce';
+  }
+  return null;
+}
+
+// Use the given CID document when it holds the verification method, otherwise resolve
+// the controller's DID document with the DID resolvers of the document loader
+async function resolveCid({ cid, documentLoaderContent, didWebRoot, offline, contextPins }, controller, verificationMethodId) {
+  if (cid && cid.verificationMethod?.some(vm => vm.id === verificationMethodId)) {
+    return toMultikeyCid(cid);
+  }
+  if (typeof controller !== 'string' || !controller.startsWith('did:')) {
+    throw new Error(cid
+      ? `Verification method ${verificationMethodId} not found in CID document`
+      : `No CID document given and ${controller} is not a DID that can be resolved`);
+  }
+  const { document } = await createDocumentLoader(documentLoaderContent, { didWebRoot, offline, contextPins })(controller);
+  return document;
+}
+
+// Preprocessing produces no report, so the checks that verification reports are thrown instead
+function assertVerificationMethodUsable(cid, verificationMethod, created) {
+  const error = checkVerificationMethodLifecycle(verificationMethod, created)
+    ?? checkVerificationRelationship(cid, verificationMethod, 'assertionMethod');
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
 function getVerificationMethod(cid, document) {
   const verificationMethod = cid.verificationMethod.find(vm => vm.id === document.proof.verificationMethod);
   if (!verificationMethod) {
@@ -69,8 +378,48 @@ function getVerificationMethod(cid, document) {
   return verificationMethod;
 }
 
-function cidDocumentLoader(cid, documentLoaderContent = {}) {
-  const loader = createDocumentLoader(documentLoaderContent);
+// Create a suite that verifies a proof with the given verification method,
+// choosing the verifier from the proof's type and cryptosuite
+async function createVerifySuite(verificationMethod, proof, controller) {
+  const keyType = getKeyType(verificationMethod);
+
+  if (keyType === 'bbs') {
+    const keyPair = await Bls12381Multikey.from({
+      ...verificationMethod,
+      controller
+    });
+    // Derived proofs carry the indexes of the statements their base proof made mandatory
+    const cryptosuite = await createVerifyCryptosuite();
+    return classifySuiteErrors(new MyDataIntegrityProof({
+      verifier: keyPair.verifier(),
+      cryptosuite,
+    }));
+  }
+
+  if (proof.type === 'Ed25519Signature2020' && keyType === 'ed25519') {
+    const keyPair = await Ed25519VerificationKey2020.from({
+      ...verificationMethod,
+      controller
+    });
+    return classifySuiteErrors(new Ed25519Signature2020({
+      key: keyPair,
+      verificationMethod: verificationMethod.id
+    }));
+  }
+
+  if (proof.type !== 'DataIntegrityProof') {
+    throw new Error(`Unsupported proof type ${proof.type} for ${keyType} key ${verificationMethod.id}`);
+  }
+
+  const keyPair = await multikeyFrom(verificationMethod, { controller });
+  return classifySuiteErrors(new MyDataIntegrityProof({
+    verifier: keyPair.verifier(),
+    cryptosuite: dataIntegrityCryptosuite(resolveCryptosuite(verificationMethod, proof.cryptosuite)),
+  }));
+}
+
+function cidDocumentLoader(cid, documentLoaderContent = {}, loaderOptions = {}) {
+  const loader = createDocumentLoader(documentLoaderContent, loaderOptions);
   return async (url) => {
     const sanitizedUrl = sanitizeUrl(url);
     // If the URL matches the CID document's ID, return the CID document
@@ -88,16 +437,28 @@ function cidDocumentLoader(cid, documentLoaderContent = {}) {
 
 /**
  * Generate a new CID document
- * @param {string} controller - Controller DID
+ * @param {string} [controller] - Controller DID; for `did:web` an https URL is also accepted, and for `did:key` it must be omitted
  * @param {Object} options - Options for CID generation
+ * @param {string} [options.method] - DID method to create a resolvable identifier with, `did:key` or `did:web` (optional)
  * @param {boolean} [options.includeEd25519=true] - Whether to include Ed25519 signature type
  * @param {boolean} [options.includeBBS=true] - Whether to include BBS+ signature type
+ * @param {boolean} [options.includeEcdsaP256=false] - Whether to include an ECDSA P-256 key
+ * @param {boolean} [options.includeEcdsaP384=false] - Whether to include an ECDSA P-384 key
+ * @param {boolean} [options.publicKeyJwk=false] - Whether to express the public keys as JsonWebKey verification methods with `publicKeyJwk`
+ * @param {string} [options.seed] - Seed to derive the keys from, so that the same keys are generated every time; for test fixtures only (optional)
+ * @param {Object<string, string[]>} [options.relationships] - Keys to authorize for each verification relationship, e.g. `{ assertionMethod: ['key-2'] }` (optional; by default every key is authorized for every relationship)
  * @returns {Promise<{cid: Object, privateKeys: Object}>} The generated CID document and private keys
  */
 export async function generateCIDDocument(controller, options = {}) {
   const { cid, privateKeys } = await generateCID(controller, {
+    method: options.method,
     includeEd25519: options.includeEd25519 !== false,
-    includeBBS: options.includeBBS !== false
+    includeBBS: options.includeBBS !== false,
+    includeEcdsaP256: options.includeEcdsaP256 === true,
+    includeEcdsaP384: options.includeEcdsaP384 === true,
+    publicKeyJwk: options.publicKeyJwk === true,
+    relationships: options.relationships,
+    seed: options.seed
   });
   return { cid, privateKeys };
 }
@@ -106,16 +467,27 @@ export async function generateCIDDocument(controller, options = {}) {
  * Sign a verifiable credential using a CID document and private keys
  * @param {Object} options - Options for signing
  * @param {string} options.cid - CID document
- * @param {Object} options.privateKeys - Private keys object
+ * @param {Object} [options.privateKeys] - Private keys object (required unless a signer is given)
+ * @param {Object|Function} [options.signer] - External signer, such as a KMS client, used instead of `privateKeys`: an object with `id`, `algorithm` and `sign({ data })`, or a callback that signs bytes (optional)
  * @param {Object} options.document - Document to sign
  * @param {string} options.keyId - ID of the key to use for signing
  * @param {string} [options.credentialId] - ID for the credential (optional)
  * @param {string} [options.subjectId] - ID for the credential subject (optional)
+ * @param {Object|Object[]} [options.credentialStatus] - Status entries, e.g. from `allocateStatusListEntry` (optional)
+ * @param {string} [options.cryptosuite] - Suite to sign with, one of `CRYPTOSUITES` for the key type (defaults to the first one)
+ * @param {string} [options.envelope] - Sign as an enveloped credential instead, one of `ENVELOPES` (optional)
+ * @param {Date|string} [options.created] - Creation time of the proof (optional, defaults to now)
+ * @param {string[]} [options.mandatoryPointers] - Pointers that every proof derived from a bbs-2023 or ecdsa-sd-2023 proof reveals, in addition to the policy's (optional)
+ * @param {Object<string, string[]>} [options.mandatoryPolicy] - Mandatory pointers by credential type, see `resolveMandatoryPointers` (optional, defaults to `DEFAULT_MANDATORY_POLICY`)
+ * @param {string} [options.shaclShapes] - SHACL shapes in Turtle that the credential must conform to before it is signed, see `validateShacl` (optional)
  * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
- * @returns {Promise<Object>} The signed credential
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
+ * @returns {Promise<Object|string|Uint8Array>} The signed credential; a compact JWT or SD-JWT, or a COSE_Sign1 message when enveloped
  */
 export async function signCredential(options) {
-  const { cid, privateKeys, document, keyId, credentialId, subjectId, documentLoaderContent } = options;
+  const { document, keyId, credentialId, subjectId, credentialStatus, created, documentLoaderContent, offline, contextPins } = options;
+  const cid = await toMultikeyCid(options.cid);
 
   document.issuer = {
     "id": cid.id
@@ -132,40 +504,47 @@ export async function signCredential(options) {
     document.credentialSubject.id = subjectId;
   }
 
+  if (credentialStatus) {
+    document.credentialStatus = credentialStatus;
+  }
+
   const verificationMethod = cid.verificationMethod.find(vm => vm.id === keyId);
   if (!verificationMethod) {
     throw new Error(`Key ID ${keyId} not found in CID document`);
   }
 
-  const privateKey = privateKeys[keyId];
-  if (!privateKey) {
-    throw new Error(`Private key for ${keyId} not found`);
+  // Refuse to sign a credential that does not match the schemas it declares
+  const schema = await validateCredentialSchemas(document, createDocumentLoader(documentLoaderContent, { offline, contextPins }));
+  if (!schema.valid) {
+    throw new Error(`Credential does not match its credentialSchema: ${schema.results.filter(r => !r.valid).flatMap(r => r.errors).join('; ')}`);
   }
 
-  let suite;
-  let keyPair;
-  let signedVC;
+  if (options.shaclShapes) {
+    const shacl = await validateShacl({ documents: [document], shapes: options.shaclShapes, documentLoaderContent, offline, contextPins });
+    const violations = shacl.results.filter(result => result.severity === 'http://www.w3.org/ns/shacl#Violation');
+    if (violations.length > 0) {
+      throw new Error(`Credential does not conform to the SHACL shapes: ${violations.map(formatShaclResult).join('; ')}`);
+    }
+  }
 
-  if (verificationMethod.publicKeyMultibase.startsWith('zUC7')) {
-    const algorithm = Bls12381Multikey.ALGORITHMS.BBS_BLS12381_SHA256;
-    keyPair = await Bls12381Multikey.from({
-      ...verificationMethod,
-      secretKeyMultibase: privateKey,
-    }, { algorithm });
+  if (options.envelope) {
+    return signEnvelopedCredential(options, verificationMethod);
+  }
 
-    const date = new Date().toISOString();
+  const cryptosuite = resolveCryptosuite(verificationMethod, options.cryptosuite);
 
-    const entryPointers = ['/issuer'];
-    if (document.validFrom) {
-      entryPointers.push('/validFrom');
-    }
-    if (document.validUntil) {
-      entryPointers.push('/validUntil');
-    }
+  // Selective disclosure suites always disclose these so that verifiers can check them
+  const entryPointers = resolveMandatoryPointers(document, options);
+
+  const signer = await getSigner(verificationMethod, options);
 
+  let suite;
+  let signedVC;
+
+  if (cryptosuite === 'bbs-2023') {
     suite = new DataIntegrityProof({
-      signer: keyPair.signer(),
-      date,
+      signer,
+      date: created,
       cryptosuite: createSignCryptosuite({
         mandatoryPointers: entryPointers
       })
@@ -175,155 +554,811 @@ export async function signCredential(options) {
       signedVC = await jsigs.sign(document, {
         suite,
         purpose: new AssertionProofPurpose(),
-        documentLoader: createDocumentLoader(documentLoaderContent)
+        documentLoader: createDocumentLoader(documentLoaderContent, { offline, contextPins })
       });
     } catch (error) {
       throw new Error(`Failed to sign document using BBS Signature: ${error.message} [${JSON.stringify(error, null, 2)}]`);
     }
+  } else if (cryptosuite === 'ecdsa-sd-2023') {
+    suite = createSignSuite(signer, cryptosuite, { mandatoryPointers: entryPointers, date: created });
+    try {
+      signedVC = await jsigs.sign(document, {
+        suite,
+        purpose: new AssertionProofPurpose(),
+        documentLoader: createDocumentLoader(documentLoaderContent, { offline, contextPins })
+      });
+    } catch (error) {
+      throw new Error(`Failed to sign document using ${cryptosuite}: ${error.message}`);
+    }
   } else {
-    keyPair = await Ed25519VerificationKey2020.from({
-      ...verificationMethod,
-      privateKeyMultibase: privateKey
-    });
-    suite = new Ed25519Signature2020({
-      key: keyPair,
-      verificationMethod: verificationMethod.id
-    });
+    suite = createSignSuite(signer, cryptosuite, { date: created });
     try {
       signedVC = await vc.issue({
         credential: document,
         suite,
-        documentLoader: createDocumentLoader(documentLoaderContent)
+        documentLoader: createDocumentLoader(documentLoaderContent, { offline, contextPins })
       });
     } catch (error) {
-      throw new Error(`Failed to sign document using Ed25519 Signature: ${error.message}`);
+      throw new Error(`Failed to sign document using ${cryptosuite === 'Ed25519Signature2020' ? 'Ed25519 Signature' : cryptosuite}: ${error.message}`);
     }
   }
 
   return signedVC;
 }
 
+// Secure a credential with a VC-JOSE-COSE envelope rather than an embedded proof
+async function signEnvelopedCredential(options, verificationMethod) {
+  const { document, envelope } = options;
+
+  if (options.cryptosuite) {
+    throw new Error('A cryptosuite cannot be used with an enveloped credential');
+  }
+  if (options.created) {
+    throw new Error('Enveloped credentials have no proof creation time to set');
+  }
+  if (!joseAlgorithmForKeyType(getKeyType(verificationMethod))) {
+    throw new Error(`Key ${verificationMethod.id} is a ${getKeyType(verificationMethod)} key; enveloped credentials require an Ed25519 or ECDSA key`);
+  }
+  if (document.proof) {
+    throw new Error('Enveloped credentials must not contain an embedded proof');
+  }
+  const shapeError = checkCredentialShape(document);
+  if (shapeError) {
+    throw new Error(shapeError.message);
+  }
+
+  const signer = await getSigner(verificationMethod, options);
+  try {
+    return await signEnvelope({ credential: document, signer, envelope });
+  } catch (error) {
+    throw new Error(`Failed to sign ${envelope} enveloped credential: ${error.message}`);
+  }
+}
+
+// Get the moment to verify as of and the clock skew to tolerate
+function getVerificationTime({ at, clockSkew = 0 }) {
+  const now = at === undefined ? new Date() : new Date(at);
+  if (Number.isNaN(now.getTime())) {
+    throw new Error(`Verification time must be a date, got ${at}`);
+  }
+  if (!Number.isFinite(clockSkew) || clockSkew < 0) {
+    throw new Error(`Clock skew must be a non-negative number of milliseconds, got ${clockSkew}`);
+  }
+  return { now, clockSkew };
+}
+
 /**
- * Verify a verifiable credential using a CID document
+ * Verify a verifiable credential using a CID document, or the issuer's resolved DID document
  * @param {Object} options - Options for verification
- * @param {Object} options.cid - CID document
- * @param {Object} options.document - Verifiable credential to verify
+ * @param {Object} [options.cid] - CID document (optional, defaults to resolving the issuer DID)
+ * @param {Object|string|Uint8Array} options.document - Verifiable credential to verify; a compact JWT or SD-JWT, or a COSE_Sign1 message for enveloped credentials
+ * @param {string} [options.presentationHeader] - Presentation header a derived BBS proof must be bound to (optional)
+ * @param {string} [options.nonce] - Nonce a derived BBS proof must be bound to (optional)
+ * @param {Date|string} [options.at] - Moment to verify as of, for the validity period and for enveloped credentials the key's expiry (optional, defaults to now)
+ * @param {number} [options.clockSkew] - Milliseconds of clock skew to tolerate at either end of the validity period (optional, defaults to 0)
  * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
- * @returns {Promise<boolean>} Whether the verification was successful
+ * @param {string} [options.didWebRoot] - Directory to resolve did:web documents from instead of fetching them (optional)
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
+ * @returns {Promise<Object>} The verification report; `report.verified` is whether the verification was successful
  */
 export async function verifyCredential(options) {
-  const { cid, document, documentLoaderContent } = options;
-  const documentLoader = cidDocumentLoader(cid, documentLoaderContent);
-  const verificationMethod = getVerificationMethod(cid, document);
+  const { document, documentLoaderContent, didWebRoot, offline, contextPins } = options;
+  if (getEnvelopeType(document)) {
+    return verifyEnvelopedCredential(options);
+  }
+  const { now, clockSkew } = getVerificationTime(options);
+
+  const report = {
+    verified: false,
+    credentialId: document.id ?? null,
+    issuer: getIssuerId(document) ?? null,
+    verificationMethod: null,
+    proofs: [],
+    validity: checkValidityPeriod(document, now, clockSkew),
+    status: {
+      present: 'credentialStatus' in document,
+      checked: false,
+      verified: null
+    },
+    schema: {
+      present: 'credentialSchema' in document,
+      checked: false,
+      valid: null,
+      results: []
+    },
+    errors: []
+  };
+
+  const shapeError = checkCredentialShape(document);
+  if (shapeError) {
+    report.errors.push(shapeError);
+  }
+
+  if (!document.proof) {
+    report.errors.push(reportError(VerificationErrorCode.PROOF_MISSING, 'Credential has no proof'));
+    return report;
+  }
+
+  let cid;
+  let verificationMethod;
+  try {
+    cid = await resolveCid(options, getIssuerId(document), document.proof.verificationMethod);
+    verificationMethod = getVerificationMethod(cid, document);
+  } catch (error) {
+    report.errors.push(reportError(VerificationErrorCode.VERIFICATION_METHOD_NOT_FOUND, error));
+    return report;
+  }
+  report.verificationMethod = verificationMethod;
+
+  const methodError = checkVerificationMethodLifecycle(verificationMethod, document.proof.created)
+    ?? checkVerificationRelationship(cid, verificationMethod, 'assertionMethod');
+  if (methodError) {
+    report.errors.push(methodError);
+    return report;
+  }
+  const documentLoader = cidDocumentLoader(cid, documentLoaderContent, { didWebRoot, offline, contextPins });
 
   let suite;
-  let keyPair;
+  try {
+    suite = await createVerifySuite(verificationMethod, document.proof, getIssuerId(document));
+  } catch (error) {
+    report.errors.push(reportError(VerificationErrorCode.UNSUPPORTED_CRYPTOSUITE, error));
+    return report;
+  }
 
-  if (verificationMethod.publicKeyMultibase.startsWith('zUC7')) {
-    keyPair = await Bls12381Multikey.from({
-      ...verificationMethod,
-      controller: document.issuer.id
-    });
-    const cryptosuite = await createVerifyCryptosuite({
-      mandatoryPointers: ['/issuer']
-    });
-    suite = new MyDataIntegrityProof({
-      verifier: keyPair.verifier(),
-      cryptosuite,
-    });
+  const result = await jsigs.verify(document, {
+    suite,
+    purpose: new IssuerAssertionPurpose({
+      controller: cid
+    }),
+    documentLoader
+  });
 
-    const result = await jsigs.verify(document, {
-      suite,
-      purpose: new AssertionProofPurpose({
-        controller: cid
-      }),
-      documentLoader
-    });
+  report.proofs = summarizeProofResults(result);
+  if (!result.verified) {
+    report.errors.push(reportProofError(result.error));
+  }
 
-    return result.verified;
-  } else {
-    keyPair = await Ed25519VerificationKey2020.from({
-      ...verificationMethod,
-      controller: document.issuer.id
-    });
-    suite = new Ed25519Signature2020({
-      key: keyPair,
-      verificationMethod: verificationMethod.id
-    });
+  const presentationHeaderError = checkPresentationHeader(document.proof, options);
+  if (presentationHeaderError) {
+    report.errors.push(reportError(VerificationErrorCode.PROOF_PURPOSE_MISMATCH, presentationHeaderError));
+  }
 
-    const result = await vc.verifyCredential({
-      credential: document,
-      suite,
-      documentLoader,
-      checkStatus: async (credential) => {
-        if (!credential.credentialStatus) {
-          return { verified: true };
-        }
-        return { verified: true };
+  if (!report.validity.valid) {
+    report.errors.push(report.validity.error);
+  }
+
+  if (report.schema.present) {
+    const { schema, errors } = await checkCredentialSchemas(document, documentLoader);
+    report.schema = schema;
+    report.errors.push(...errors);
+  }
+
+  // As in @digitalbazaar/vc, the status is only checked once the proof is known to be good
+  if (report.status.present && result.verified) {
+    report.status = await checkCredentialStatus({ cid, document, documentLoaderContent, didWebRoot, offline, contextPins });
+    report.errors.push(...report.status.results.filter(r => r.error).map(r => r.error));
+  }
+
+  report.verified = report.errors.length === 0;
+  return report;
+}
+
+// Verify a VC-JOSE-COSE enveloped credential, resolving its `kid` against the CID document
+// or the issuer's DID document
+async function verifyEnvelopedCredential(options) {
+  const { document, documentLoaderContent, didWebRoot, offline, contextPins } = options;
+  const { now, clockSkew } = getVerificationTime(options);
+  const report = {
+    verified: false,
+    envelope: getEnvelopeType(document),
+    credential: null,
+    credentialId: null,
+    issuer: null,
+    verificationMethod: null,
+    proofs: [],
+    validity: null,
+    status: {
+      present: false,
+      checked: false,
+      verified: null
+    },
+    schema: {
+      present: false,
+      checked: false,
+      valid: null,
+      results: []
+    },
+    errors: []
+  };
+
+  let decoded;
+  try {
+    decoded = decodeEnvelope(document);
+  } catch (error) {
+    report.errors.push(reportError(VerificationErrorCode.MALFORMED_CREDENTIAL, error));
+    return report;
+  }
+  const { credential, alg } = decoded;
+
+  report.credential = credential;
+  report.credentialId = credential.id ?? null;
+  report.issuer = getIssuerId(credential) ?? null;
+  report.validity = checkValidityPeriod(credential, now, clockSkew);
+  report.status.present = 'credentialStatus' in credential;
+  report.schema.present = 'credentialSchema' in credential;
+
+  const shapeError = checkCredentialShape(credential);
+  if (shapeError) {
+    report.errors.push(shapeError);
+  }
+
+  // A relative kid identifies a key of the issuer
+  const kid = decoded.kid?.startsWith('#') ? `${report.issuer}${decoded.kid}` : decoded.kid;
+
+  let cid;
+  try {
+    cid = await resolveCid(options, kid?.split('#')[0] ?? report.issuer, kid);
+  } catch (error) {
+    report.errors.push(reportError(VerificationErrorCode.VERIFICATION_METHOD_NOT_FOUND, error));
+    return report;
+  }
+  const proof = {
+    type: `vc+${report.envelope}`,
+    cryptosuite: alg ?? null,
+    verificationMethod: kid ?? null,
+    proofPurpose: 'assertionMethod',
+    created: null,
+    verified: false,
+    error: null
+  };
+  report.proofs.push(proof);
+
+  const fail = (code, error) => {
+    proof.error = reportError(code, error);
+    report.errors.push(proof.error);
+    return report;
+  };
+
+  const verificationMethod = cid.verificationMethod.find(vm => vm.id === kid);
+  if (!verificationMethod) {
+    return fail(VerificationErrorCode.VERIFICATION_METHOD_NOT_FOUND, `Verification method ${kid} not found in CID document`);
+  }
+  report.verificationMethod = verificationMethod;
+
+  // Enveloped credentials carry no proof creation time, so expiry is checked against the verification time
+  const lifecycleError = checkVerificationMethodLifecycle(verificationMethod, now);
+  if (lifecycleError) {
+    return fail(lifecycleError.code, lifecycleError.message);
+  }
+
+  const relationshipError = checkVerificationRelationship(cid, verificationMethod, 'assertionMethod');
+  if (relationshipError) {
+    return fail(relationshipError.code, relationshipError.message);
+  }
+  if (report.issuer !== cid.id) {
+    return fail(VerificationErrorCode.VERIFICATION_METHOD_NOT_AUTHORIZED, `Credential issuer ${report.issuer} must match the controller ${cid.id}`);
+  }
+
+  const expectedAlg = joseAlgorithmForKeyType(getKeyType(verificationMethod));
+  if (!expectedAlg || alg !== expectedAlg) {
+    return fail(VerificationErrorCode.UNSUPPORTED_CRYPTOSUITE, `Algorithm ${alg} cannot be used with ${getKeyType(verificationMethod)} key ${kid}`);
+  }
+
+  const keyPair = await multikeyFrom(verificationMethod, { controller: cid.id });
+  proof.verified = await keyPair.verifier().verify({ data: decoded.signingInput, signature: decoded.signature });
+  if (!proof.verified) {
+    return fail(VerificationErrorCode.INVALID_SIGNATURE, `Invalid ${report.envelope} signature`);
+  }
+
+  if (encodePresentationHeader(options).length > 0) {
+    report.errors.push(reportError(VerificationErrorCode.PROOF_PURPOSE_MISMATCH, 'Only derived bbs-2023 proofs can be bound to a presentation header'));
+  }
+
+  if (!report.validity.valid) {
+    report.errors.push(report.validity.error);
+  }
+
+  if (report.schema.present) {
+    const { schema, errors } = await checkCredentialSchemas(credential, cidDocumentLoader(cid, documentLoaderContent, { didWebRoot, offline, contextPins }));
+    report.schema = schema;
+    report.errors.push(...errors);
+  }
+
+  if (report.status.present) {
+    report.status = await checkCredentialStatus({ cid, document: credential, documentLoaderContent, didWebRoot, offline, contextPins });
+    report.errors.push(...report.status.results.filter(r => r.error).map(r => r.error));
+  }
+
+  report.verified = report.errors.length === 0;
+  return report;
+}
+
+// Validate a credential against its credentialSchema, with an error for each schema it does not match
+async function checkCredentialSchemas(credential, documentLoader) {
+  const schema = { ...await validateCredentialSchemas(credential, documentLoader), checked: true };
+  const errors = schema.results
+    .filter(result => !result.valid)
+    .map(result => reportError(VerificationErrorCode.SCHEMA_VALIDATION_FAILED, `Credential does not match schema ${result.id}: ${result.errors.join('; ')}`));
+  return { schema, errors };
+}
+
+/**
+ * Validate a credential against a JSON Schema, or else against each schema its `credentialSchema`
+ * declares, loading them through the document loader
+ * @param {Object} options - Options for validation
+ * @param {Object|string|Uint8Array} options.document - Credential to validate; enveloped credentials are validated as decoded
+ * @param {Object} [options.schema] - JSON Schema or JsonSchemaCredential to validate against instead (optional)
+ * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
+ * @returns {Promise<{present: boolean, valid: boolean, results: Object[]}>} Whether the credential matches every schema,
+ * with the `id`, `type`, `valid` and `errors` of each
+ */
+export async function validateCredentialSchema(options) {
+  const { schema, documentLoaderContent, offline, contextPins } = options;
+  const document = getEnvelopeType(options.document) ? decodeEnvelope(options.document).credential : options.document;
+  if (!schema) {
+    return validateCredentialSchemas(document, createDocumentLoader(documentLoaderContent, { offline, contextPins }));
+  }
+  const { proof, ...credential } = document;
+  const type = [].concat(schema.type ?? []).includes('JsonSchemaCredential') ? 'JsonSchemaCredential' : 'JsonSchema';
+  const result = validateJsonSchema(credential, getJsonSchema(schema));
+  return {
+    present: true,
+    valid: result.valid,
+    results: [{ id: schema.id ?? schema.$id ?? null, type, ...result }]
+  };
+}
+
+/**
+ * Validate credentials against SHACL shapes. The credentials are loaded into a single RDF graph
+ * without their proofs, as `collectDocuments` does, so shapes can relate claims across credentials
+ * @param {Object} options - Options for validation
+ * @param {(Object|string|Uint8Array)[]} options.documents - Credentials to validate; enveloped credentials are validated as decoded
+ * @param {string} options.shapes - SHACL shapes graph in Turtle
+ * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
+ * @returns {Promise<{conforms: boolean, results: Object[], turtle: string}>} Whether the credentials conform, the
+ * `focusNode`, `path`, `value`, `severity`, `message`, `sourceShape` and `sourceConstraintComponent` of each
+ * validation result, and the SHACL validation report in Turtle
+ */
+export async function validateShacl(options) {
+  const { documents, shapes, documentLoaderContent, offline, contextPins } = options;
+  const credentials = documents.map(document => (getEnvelopeType(document) ? decodeEnvelope(document).credential : document));
+  const data = await loadCredentialGraph(credentials, createDocumentLoader(documentLoaderContent, { offline, contextPins }));
+  return validateShapes(data, shapes);
+}
+
+// Describe a SHACL validation result in a line
+function formatShaclResult({ focusNode, path, message }) {
+  return `${focusNode}${path ? ` ${path}` : ''}: ${message || 'does not conform'}`;
+}
+
+// Check every BitstringStatusListEntry of a credential against its status list
+async function checkCredentialStatus({ cid, document, documentLoaderContent, didWebRoot, offline, contextPins }) {
+  // Status lists change over time, so they must never be served from the cache
+  const documentLoader = cidDocumentLoader(cid, documentLoaderContent, { cache: false, didWebRoot, offline, contextPins });
+  const status = {
+    present: true,
+    checked: true,
+    verified: true,
+    results: []
+  };
+
+  for (const entry of [].concat(document.credentialStatus)) {
+    const result = {
+      type: entry.type,
+      statusPurpose: entry.statusPurpose ?? null,
+      statusListCredential: entry.statusListCredential ?? null,
+      statusListIndex: entry.statusListIndex ?? null,
+      status: null,
+      error: null
+    };
+    status.results.push(result);
+
+    try {
+      if (entry.type !== 'BitstringStatusListEntry') {
+        throw new Error(`Unsupported credential status type ${entry.type}`);
+      }
+
+      let statusListCredential;
+      try {
+        ({ document: statusListCredential } = await documentLoader(entry.statusListCredential));
+      } catch (error) {
+        throw new Error(`Failed to load status list ${entry.statusListCredential}: ${error.message}`);
+      }
+      if (getIssuerId(statusListCredential) !== getIssuerId(document)) {
+        throw new Error(`Status list ${entry.statusListCredential} was not issued by the credential issuer`);
+      }
+      if (!statusListCredential.type?.includes('BitstringStatusListCredential')) {
+        throw new Error(`${entry.statusListCredential} is not a BitstringStatusListCredential`);
+      }
+
+      const statusListReport = await verifyCredential({ cid, document: statusListCredential, documentLoaderContent, didWebRoot, offline, contextPins });
+      if (!statusListReport.verified) {
+        throw new Error(`Status list ${entry.statusListCredential} failed verification: ${statusListReport.errors.map(e => e.message).join('; ')}`);
       }
-    });
 
-    return result.verified;
+      const { statusPurpose, encodedList } = statusListCredential.credentialSubject;
+      if (statusPurpose !== entry.statusPurpose) {
+        throw new Error(`Status purpose ${entry.statusPurpose} does not match the ${statusPurpose} status list`);
+      }
+
+      result.status = getStatus(encodedList, parseInt(entry.statusListIndex, 10)) ? 1 : 0;
+      if (result.status === 1) {
+        throw new Error(entry.statusPurpose === 'revocation' ? 'Credential has been revoked' : 'Credential has been suspended');
+      }
+    } catch (error) {
+      result.error = reportError(VerificationErrorCode.STATUS_CHECK_FAILED, error);
+      status.verified = false;
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Issue a signed BitstringStatusListCredential with every status unset
+ * @param {Object} options - Options for creating the status list
+ * @param {Object} options.cid - CID document of the issuer
+ * @param {Object} [options.privateKeys] - Private keys object (required unless a signer is given)
+ * @param {Object|Function} [options.signer] - External signer used instead of `privateKeys`, as for `signCredential` (optional)
+ * @param {string} options.keyId - ID of the key to use for signing (must not be a BBS key or use ecdsa-sd-2023)
+ * @param {string} options.statusListId - URL at which the status list credential will be published
+ * @param {string} [options.statusPurpose='revocation'] - Status purpose (`revocation` or `suspension`)
+ * @param {number} [options.length=131072] - Number of entries in the list
+ * @param {Date|string} [options.created] - Creation time of the proof, which the list is also valid from (optional, defaults to now)
+ * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
+ * @returns {Promise<Object>} The signed status list credential
+ */
+export async function createStatusList(options) {
+  const { statusListId, statusPurpose = 'revocation', length = DEFAULT_STATUS_LIST_LENGTH, created } = options;
+
+  if (!STATUS_PURPOSES.includes(statusPurpose)) {
+    throw new Error(`Status purpose must be one of ${STATUS_PURPOSES.join(', ')}`);
+  }
+
+  const document = {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    id: statusListId,
+    type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+    validFrom: (created === undefined ? new Date() : new Date(created)).toISOString(),
+    credentialSubject: {
+      id: `${statusListId}#list`,
+      type: 'BitstringStatusList',
+      statusPurpose,
+      encodedList: createEncodedList(length)
+    }
+  };
+
+  return signStatusList({ ...options, document });
+}
+
+/**
+ * Set or clear the status of an entry in a status list and re-sign the list
+ * @param {Object} options - Options for updating the status list
+ * @param {Object} options.cid - CID document of the issuer
+ * @param {Object} [options.privateKeys] - Private keys object (required unless a signer is given)
+ * @param {Object|Function} [options.signer] - External signer used instead of `privateKeys`, as for `signCredential` (optional)
+ * @param {string} options.keyId - ID of the key to use for signing (must not be a BBS key or use ecdsa-sd-2023)
+ * @param {Object} options.statusListCredential - Signed status list credential
+ * @param {number} options.index - Index of the entry to update
+ * @param {boolean} options.status - Whether the status is set (revoked or suspended)
+ * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
+ * @returns {Promise<Object>} The re-signed status list credential
+ */
+export async function updateStatusList(options) {
+  const { statusListCredential, index, status } = options;
+  const { proof, ...document } = statusListCredential;
+
+  document.credentialSubject = {
+    ...document.credentialSubject,
+    encodedList: setStatus(document.credentialSubject.encodedList, index, status)
+  };
+
+  return signStatusList({ ...options, document });
+}
+
+async function signStatusList(options) {
+  const { keyId } = options;
+  const cid = await toMultikeyCid(options.cid);
+  const verificationMethod = cid.verificationMethod.find(vm => vm.id === keyId);
+  const cryptosuite = verificationMethod && resolveCryptosuite(verificationMethod, options.cryptosuite);
+  if (SELECTIVE_DISCLOSURE_CRYPTOSUITES.includes(cryptosuite)) {
+    throw new Error(`Cryptosuite ${cryptosuite} cannot sign status lists; status lists must be verifiable without derivation, use an Ed25519 or ECDSA key`);
   }
+  return signCredential(options);
+}
+
+/**
+ * Allocate an unused entry in a status list for a new credential
+ * @param {Object} statusListCredential - Signed status list credential
+ * @param {number[]} [allocated=[]] - Indexes that are already allocated
+ * @returns {Object} A BitstringStatusListEntry to use as `credentialStatus`
+ */
+export function allocateStatusListEntry(statusListCredential, allocated = []) {
+  const { id, credentialSubject: { statusPurpose, encodedList } } = statusListCredential;
+  const index = allocateIndex(getListLength(encodedList), allocated);
+  return {
+    id: `${id}#${index}`,
+    type: 'BitstringStatusListEntry',
+    statusPurpose,
+    statusListIndex: `${index}`,
+    statusListCredential: id
+  };
 }
 
 /**
- * Create a derived BBS proof from a signed input BBS document
+ * Create a derived proof from a signed bbs-2023 or ecdsa-sd-2023 document, or
+ * select the disclosures of an SD-JWT
  * @param {Object} options - Options for deriving proof
- * @param {Object} options.document - Signed BBS document
- * @param {string[]} options.revealPointers - Array of JSON pointers to reveal
+ * @param {Object|string} options.document - Signed bbs-2023 or ecdsa-sd-2023 document, or an SD-JWT
+ * @param {string[]} [options.revealPointers] - Array of JSON pointers to reveal, from `listDisclosablePointers`; unknown pointers are rejected with suggestions
+ * @param {string|string[]} [options.revealSpec] - Reveal spec such as `credentialSubject.givenName, credentialSubject.driversLicense.*`, see `compileRevealSpec`
+ * @param {Object} [options.frame] - JSON-LD frame selecting what to reveal, see `compileFrame`; at least one of `revealPointers`, `revealSpec` and `frame` is required, and what they select is combined
+ * @param {string} [options.presentationHeader] - Presentation header agreed with the verifier, bbs-2023 only (optional)
+ * @param {string} [options.nonce] - Session challenge provided by the verifier, bbs-2023 only (optional)
  * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
- * @returns {Promise<Object>} The derived document
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
+ * @returns {Promise<Object|string>} The derived document, or the SD-JWT with only the selected disclosures
  */
 export async function deriveProof(options) {
-  const { document, revealPointers, documentLoaderContent } = options;
+  const { document, documentLoaderContent, offline, contextPins } = options;
+  const presentationHeader = encodePresentationHeader(options);
 
-  const cryptosuite = createDiscloseCryptosuite({
-    selectivePointers: revealPointers
-  });
+  if (presentationHeader.length > 0 && document.proof?.cryptosuite !== 'bbs-2023') {
+    throw new Error('Only bbs-2023 proofs can be bound to a presentation header or nonce');
+  }
+
+  if (typeof document === 'string') {
+    if (getEnvelopeType(document) !== 'sd-jwt') {
+      throw new Error('Only SD-JWT enveloped credentials support selective disclosure');
+    }
+    const revealPointers = resolveRevealPointers(document, options);
+    validateRevealPointers(document, revealPointers);
+    return selectDisclosures(document, revealPointers);
+  }
+
+  const revealPointers = resolveRevealPointers(document, options);
+  validateRevealPointers(document, revealPointers);
+
+  const cryptosuite = document.proof?.cryptosuite === 'ecdsa-sd-2023'
+    ? ecdsaSd2023Cryptosuite.createDiscloseCryptosuite({ selectivePointers: revealPointers })
+    : createDiscloseCryptosuite({ selectivePointers: revealPointers, presentationHeader });
 
   const suite = new DataIntegrityProof({ cryptosuite });
 
   const derivedDocument = await jsigs.derive(document, {
     suite,
     purpose: new AssertionProofPurpose(),
-    documentLoader: createDocumentLoader(documentLoaderContent)
+    documentLoader: createDocumentLoader(documentLoaderContent, { offline, contextPins })
   });
 
   return derivedDocument;
 }
 
+/**
+ * Create an unsigned verifiable presentation bundling one or more credentials
+ * @param {Object} options - Options for creating the presentation
+ * @param {Object[]} options.credentials - Signed or derived credentials to include
+ * @param {string} [options.holder] - ID of the presentation holder (optional)
+ * @param {string} [options.presentationId] - ID for the presentation (optional)
+ * @returns {Object} The unsigned presentation
+ */
+export function createPresentation(options) {
+  const { credentials, holder, presentationId } = options;
+
+  if (!Array.isArray(credentials) || credentials.length === 0) {
+    throw new Error('At least one credential is required to create a presentation');
+  }
+
+  return vc.createPresentation({
+    verifiableCredential: credentials,
+    holder,
+    id: presentationId,
+    version: 2.0
+  });
+}
+
+/**
+ * Sign a verifiable presentation with a holder key from a CID document
+ * @param {Object} options - Options for signing
+ * @param {Object} options.cid - CID document of the holder
+ * @param {Object} [options.privateKeys] - Private keys object (required unless a signer is given)
+ * @param {Object|Function} [options.signer] - External signer used instead of `privateKeys`, as for `signCredential` (optional)
+ * @param {Object} options.presentation - Presentation to sign
+ * @param {string} options.keyId - ID of the holder key to use for signing
+ * @param {string} [options.cryptosuite] - Suite to sign with (defaults to the first of `CRYPTOSUITES` for the key type)
+ * @param {string} options.challenge - Challenge provided by the verifier
+ * @param {string} [options.domain] - Domain provided by the verifier (optional)
+ * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
+ * @returns {Promise<Object>} The signed presentation
+ */
+export async function signPresentation(options) {
+  const { presentation, keyId, challenge, domain, documentLoaderContent, offline, contextPins } = options;
+  const cid = await toMultikeyCid(options.cid);
+
+  if (typeof challenge !== 'string') {
+    throw new Error('A challenge is required to sign a presentation');
+  }
+
+  presentation.holder = cid.id;
+
+  const verificationMethod = cid.verificationMethod.find(vm => vm.id === keyId);
+  if (!verificationMethod) {
+    throw new Error(`Key ID ${keyId} not found in CID document`);
+  }
+
+  const cryptosuite = resolveCryptosuite(verificationMethod, options.cryptosuite);
+  if (SELECTIVE_DISCLOSURE_CRYPTOSUITES.includes(cryptosuite)) {
+    throw new Error(`Cryptosuite ${cryptosuite} cannot be used for holder proofs; holder proofs must be verifiable without derivation`);
+  }
+
+  const suite = createSignSuite(await getSigner(verificationMethod, options), cryptosuite);
+
+  try {
+    return await vc.signPresentation({
+      presentation,
+      suite,
+      challenge,
+      domain,
+      documentLoader: cidDocumentLoader(cid, documentLoaderContent, { offline, contextPins })
+    });
+  } catch (error) {
+    throw new Error(`Failed to sign presentation using ${cryptosuite}: ${error.message}`);
+  }
+}
+
+/**
+ * Verify a verifiable presentation, checking both the holder proof and every embedded credential
+ * @param {Object} options - Options for verification
+ * @param {Object} options.cid - CID document of the holder
+ * @param {Object[]} [options.issuerCids] - CID documents of the credential issuers (optional; the holder CID is also used, and other issuer DIDs are resolved)
+ * @param {Object} options.presentation - Verifiable presentation to verify
+ * @param {string} options.challenge - Challenge expected in the holder proof
+ * @param {string} [options.domain] - Domain expected in the holder proof (optional)
+ * @param {Date|string} [options.at] - Moment to verify the embedded credentials as of, see `verifyCredential` (optional, defaults to now)
+ * @param {number} [options.clockSkew] - Milliseconds of clock skew to tolerate in the embedded credentials' validity periods (optional, defaults to 0)
+ * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
+ * @param {string} [options.didWebRoot] - Directory to resolve did:web documents from instead of fetching them (optional)
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
+ * @returns {Promise<Object>} The verification report, including a report for each embedded credential
+ */
+export async function verifyPresentation(options) {
+  const { issuerCids = [], presentation, challenge, domain, at, clockSkew, documentLoaderContent, didWebRoot, offline, contextPins } = options;
+  const cid = await toMultikeyCid(options.cid);
+
+  const report = {
+    verified: false,
+    presentationId: presentation.id ?? null,
+    holder: presentation.holder ?? null,
+    verificationMethod: null,
+    proofs: [],
+    credentials: [],
+    errors: []
+  };
+
+  if (!presentation.proof) {
+    report.errors.push(reportError(VerificationErrorCode.PROOF_MISSING, 'Presentation has no holder proof'));
+    return report;
+  }
+
+  let verificationMethod;
+  try {
+    verificationMethod = getVerificationMethod(cid, presentation);
+  } catch (error) {
+    report.errors.push(reportError(VerificationErrorCode.VERIFICATION_METHOD_NOT_FOUND, error));
+    return report;
+  }
+  report.verificationMethod = verificationMethod;
+
+  const methodError = checkVerificationMethodLifecycle(verificationMethod, presentation.proof.created)
+    ?? checkVerificationRelationship(cid, verificationMethod, 'authentication');
+  if (methodError) {
+    report.errors.push(methodError);
+    return report;
+  }
+
+  // The holder proof only vouches for the CID whose authentication key made it
+  const holder = typeof presentation.holder === 'string' ? presentation.holder : presentation.holder?.id;
+  if (holder !== cid.id) {
+    report.errors.push(reportError(VerificationErrorCode.VERIFICATION_METHOD_NOT_AUTHORIZED, `Presentation holder ${holder} must match the controller ${cid.id}`));
+    return report;
+  }
+
+  if (getKeyType(verificationMethod) === 'bbs' || presentation.proof.cryptosuite === 'ecdsa-sd-2023') {
+    report.errors.push(reportError(VerificationErrorCode.VERIFICATION_METHOD_NOT_AUTHORIZED, `Holder proofs must be verifiable without derivation; ${presentation.proof.cryptosuite ?? 'BBS'} proofs by ${verificationMethod.id} are not supported`));
+    return report;
+  }
+
+  let suite;
+  try {
+    suite = await createVerifySuite(verificationMethod, presentation.proof, presentation.holder);
+  } catch (error) {
+    report.errors.push(reportError(VerificationErrorCode.UNSUPPORTED_CRYPTOSUITE, error));
+    return report;
+  }
+
+  const result = await jsigs.verify(presentation, {
+    suite,
+    purpose: new HolderAuthenticationPurpose({
+      controller: cid,
+      challenge,
+      domain
+    }),
+    documentLoader: cidDocumentLoader(cid, documentLoaderContent, { didWebRoot, offline, contextPins })
+  });
+
+  report.proofs = summarizeProofResults(result);
+  if (!result.verified) {
+    report.errors.push(reportProofError(result.error));
+  }
+
+  const credentials = [].concat(presentation.verifiableCredential || []);
+  for (const credential of credentials) {
+    const issuer = getIssuerId(credential);
+    const issuerCid = [cid, ...issuerCids].find(c => c.id === issuer);
+    const credentialReport = await verifyCredential({ cid: issuerCid, document: credential, at, clockSkew, documentLoaderContent, didWebRoot, offline, contextPins });
+    report.credentials.push(credentialReport);
+    report.errors.push(...credentialReport.errors);
+  }
+
+  report.verified = report.errors.length === 0;
+  return report;
+}
+
 /**
  * Preprocess BBS verification data from derived credentials
  * @param {Object} options - Options for preprocessing
  * @param {Object} options.document - Derived BBS document
- * @param {Object} options.cid - CID document
+ * @param {Object} [options.cid] - CID document (optional, defaults to resolving the issuer DID)
+ * @param {string} [options.presentationHeader] - Presentation header the proof must be bound to (optional)
+ * @param {string} [options.nonce] - Nonce the proof must be bound to (optional)
  * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
+ * @param {string} [options.didWebRoot] - Directory to resolve did:web documents from instead of fetching them (optional)
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
  * @returns {Promise<Object>} The preprocessed data
  */
 export async function preprocessBBSVerification(options) {
-  const { document, cid, documentLoaderContent } = options;
+  const { document, documentLoaderContent, didWebRoot, offline, contextPins } = options;
+  const cid = await resolveCid(options, getIssuerId(document), document.proof?.verificationMethod);
   const verificationMethod = getVerificationMethod(cid, document);
+  assertVerificationMethodUsable(cid, verificationMethod, document.proof.created);
+
+  const presentationHeaderError = checkPresentationHeader(document.proof, options);
+  if (presentationHeaderError) {
+    throw new Error(presentationHeaderError);
+  }
 
   const verifyData = await _createVerifyData({
     document,
-    documentLoader: cidDocumentLoader(cid, documentLoaderContent),
+    documentLoader: cidDocumentLoader(cid, documentLoaderContent, { didWebRoot, offline, contextPins }),
   });
 
   const keyPair = await Bls12381Multikey.from({
     ...verificationMethod,
     controller: document.issuer.id
   });
-  const cryptosuite = await createVerifyCryptosuite({
-    mandatoryPointers: ['/issuer']
-  });
+  const cryptosuite = await createVerifyCryptosuite();
   const suite = new MyDataIntegrityProof({
     verifier: keyPair.verifier(),
     cryptosuite,
   });
   const method = await suite.getVerificationMethod({
     proof: document.proof,
-    documentLoader: cidDocumentLoader(cid, documentLoaderContent),
+    documentLoader: cidDocumentLoader(cid, documentLoaderContent, { didWebRoot, offline, contextPins }),
   });
 
   return {
@@ -332,6 +1367,7 @@ export async function preprocessBBSVerification(options) {
       bbsProof: Buffer.from(verifyData.bbsProof).toString('base64'),
       proofHash: Buffer.from(verifyData.proofHash).toString('base64'),
       mandatoryHash: Buffer.from(verifyData.mandatoryHash).toString('base64'),
+      presentationHeader: Buffer.from(verifyData.presentationHeader).toString('base64'),
     },
     verificationMethod: method,
     proof: document.proof
@@ -340,27 +1376,43 @@ export async function preprocessBBSVerification(options) {
 
 /**
  * Preprocess Ed25519 verification data from signed credentials
+ * (Ed25519Signature2020, eddsa-rdfc-2022 or eddsa-jcs-2022 proofs)
  * @param {Object} options - Options for preprocessing
  * @param {Object} options.document - Signed Ed25519 document
- * @param {Object} options.cid - CID document
+ * @param {Object} [options.cid] - CID document (optional, defaults to resolving the issuer DID)
  * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
+ * @param {string} [options.didWebRoot] - Directory to resolve did:web documents from instead of fetching them (optional)
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
  * @returns {Promise<Object>} The preprocessed data
  */
 export async function preprocessEd25519Verification(options) {
-  const { document, cid, documentLoaderContent } = options;
+  const { document, documentLoaderContent, didWebRoot, offline, contextPins } = options;
+  const cid = await resolveCid(options, getIssuerId(document), document.proof?.verificationMethod);
   const verificationMethod = getVerificationMethod(cid, document);
+  assertVerificationMethodUsable(cid, verificationMethod, document.proof.created);
+  const documentLoader = cidDocumentLoader(cid, documentLoaderContent, { didWebRoot, offline, contextPins });
+  const { proof } = document;
 
-  const keyPair = await Ed25519VerificationKey2020.from({
-    ...verificationMethod,
-    controller: document.issuer.id
-  });
-  const suite = new Ed25519Signature2020({
-    key: keyPair,
-    verificationMethod: verificationMethod.id
-  });
+  const suite = await createVerifySuite(verificationMethod, proof, getIssuerId(document));
 
-  const canonizedDocument = await suite.canonize({ ...document, proof: null }, {documentLoader: cidDocumentLoader(cid, documentLoaderContent)});
-  const canonizedProof = await suite.canonizeProof(document.proof, {document, documentLoader: cidDocumentLoader(cid, documentLoaderContent)});
+  let canonizedDocument;
+  let canonizedProof;
+  if (proof.cryptosuite === 'eddsa-jcs-2022') {
+    // JCS canonicalizes the JSON itself; the proof options carry the document context
+    const unsecuredDocument = { ...document };
+    delete unsecuredDocument.proof;
+    const proofOptions = { ...proof };
+    delete proofOptions.proofValue;
+    if (proofOptions['@context']) {
+      unsecuredDocument['@context'] = proofOptions['@context'];
+    }
+    canonizedDocument = await suite.canonize(unsecuredDocument);
+    canonizedProof = await suite.canonize(proofOptions);
+  } else {
+    canonizedDocument = await suite.canonize({ ...document, proof: null }, {documentLoader});
+    canonizedProof = await suite.canonizeProof(proof, {document, documentLoader});
+  }
 
   const proofHash = await sha256digest({string: canonizedProof});
   const docHash = await sha256digest({string: canonizedDocument});
@@ -390,42 +1442,72 @@ export async function preprocessEd25519Verification(options) {
 }
 
 /**
- * Collect JSON-LD documents into a single Turtle file, excluding proofs
+ * Collect JSON-LD documents into a single RDF file. Proofs are excluded unless `includeProofs` is set,
+ * in which case each document is written to a graph of its own, next to the graphs of its proofs
  * @param {Object} options - Options for collection
  * @param {string[]} options.documents - Array of JSON-LD document paths
- * @param {string} options.outputPath - Output path for Turtle file
+ * @param {string} options.outputPath - Output path for the RDF file
+ * @param {string} [options.format] - Output format, one of `RDF_FORMATS` (optional, inferred from the extension of `outputPath`)
+ * @param {boolean} [options.includeProofs] - Keep proofs as named graphs, which Turtle cannot hold (optional)
+ * @param {boolean} [options.canonicalize] - Canonicalize the output with RDFC-1.0, so that the same documents are always written the same way (optional)
  * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
- *  
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
+ *
  * @returns {Promise<void>}
  */
 export async function collectDocuments(options = {}) {
-  const { documents, outputPath, documentLoaderContent } = options;
-  const documentLoader = createDocumentLoader(documentLoaderContent || {});
+  const { documents, outputPath, includeProofs, canonicalize, documentLoaderContent, offline, contextPins } = options;
+  const documentLoader = createDocumentLoader(documentLoaderContent || {}, { offline, contextPins });
 
-  if (!outputPath.endsWith('.ttl')) {
-    throw new Error('Output file must have .ttl extension');
+  const format = options.format ?? formatFromPath(outputPath);
+  if (!RDF_FORMATS[format]) {
+    throw new Error(`Unsupported format ${format}; use one of ${Object.keys(RDF_FORMATS).join(', ')}`);
+  }
+  if (includeProofs && format === 'turtle') {
+    throw new Error('Turtle cannot hold proof graphs; use nquads, trig or jsonld to include proofs');
   }
 
-  const data = await dereference.default(documents, {
-    fetch: async (url) => {
-      let res = await documentLoader(url);
-
-      if (!('@context' in res) && 'document' in res) {
-        res = res.document;
-      }
+  // Load each document on its own so that its statements can be told apart from the others'
+  let quads = [];
+  let documentPrefixes = {};
+  for (const document of documents) {
+    const data = await dereference.default([document], {
+      fetch: async (url) => {
+        let res = await documentLoader(url);
 
-      const str = JSON.stringify(res, null, 2);
-      return new Response(str, {
-        headers: {
-          'Content-Type': 'application/ld+json'
+        if (!('@context' in res) && 'document' in res) {
+          res = res.document;
         }
-      });
-    },
-    localFiles: true
-  });
+
+        const str = JSON.stringify(res, null, 2);
+        return new Response(str, {
+          headers: {
+            'Content-Type': 'application/ld+json'
+          }
+        });
+      },
+      localFiles: true
+    });
+    documentPrefixes = { ...documentPrefixes, ...data.prefixes };
+
+    if (includeProofs) {
+      // The document's own statements go in a graph of their own; its proofs are already in named graphs
+      const graph = DataFactory.blankNode();
+      quads.push(...[...data.store].map(quad => (quad.graph.termType === 'DefaultGraph'
+        ? DataFactory.quad(quad.subject, quad.predicate, quad.object, graph)
+        : quad)));
+    } else {
+      quads.push(...[...data.store.match(null, null, null, DataFactory.defaultGraph())].filter(quad => !quad.predicate.equals(DataFactory.namedNode('https://w3id.org/security#proof'))));
+    }
+  }
+
+  if (canonicalize) {
+    quads = await canonicalizeQuads(quads);
+  }
 
   const prefixes = {
-    ...data.prefixes,
+    ...documentPrefixes,
     schema: 'https://schema.org/',
     vdl: 'https://w3id.org/vdl#',
     ob: 'https://purl.imsglobal.org/spec/vc/ob/vocab.html#',
@@ -437,24 +1519,113 @@ export async function collectDocuments(options = {}) {
     xsd: 'http://www.w3.org/2001/XMLSchema#',
     status: 'https://example.gov/status/',
     lic: 'https://example.gov/drivers-license/',
-    aamva: 'https://w3id.org/vdl/aamva#'
+    aamva: 'https://w3id.org/vdl/aamva#',
+    ...(includeProofs ? { sec: 'https://w3id.org/security#' } : {})
   };
 
-  const turtle = await write([...data.store.match(null, null, null, DataFactory.defaultGraph())].filter(quad => !quad.predicate.equals(DataFactory.namedNode('https://w3id.org/security#proof'))), {
-    prefixes
-  });
+  await fs.writeFile(outputPath, await serializeQuads(quads, format, prefixes));
+}
 
-  await fs.writeFile(outputPath, turtle);
+/**
+ * Bundle every context the documents reference, and the contexts those reference, so that the
+ * documents can be processed offline with the bundle as document loader content
+ * @param {Object} options - Options for bundling
+ * @param {Object[]} options.documents - JSON-LD documents
+ * @param {Object} [options.documentLoaderContent] - Document loader content (optional)
+ * @param {boolean} [options.offline] - Fail instead of fetching documents that are not in the document loader content, the caches or the built-in contexts (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that loaded documents must match, see `contextHash` (optional)
+ * @returns {Promise<Object>} The context bundle, with each context and its SHA-256 hash by URL
+ */
+export async function bundleContexts(options) {
+  const { documents, documentLoaderContent, offline, contextPins } = options;
+  return createContextBundle(documents, createDocumentLoader(documentLoaderContent, { offline, contextPins }));
 }
 
+/**
+ * Fetch documents, and the contexts they reference, into the process cache, replacing any cached copies
+ * @param {Object} options - Options for prefetching
+ * @param {string[]} options.urls - URLs of the documents
+ * @param {Object} [options.documentLoaderContent] - Document loader content to take documents from instead of fetching them (optional)
+ * @param {Object<string, string>} [options.contextPins] - SHA-256 hashes of documents by URL that fetched documents must match, see `contextHash` (optional)
+ * @returns {Promise<Object[]>} The cache entries written, each with its `url`, `fetched` time and `sha256` hash
+ */
+export async function prefetchContexts(options) {
+  const { urls, documentLoaderContent, contextPins } = options;
+  // Cached copies are bypassed so that they are refreshed
+  const documentLoader = createDocumentLoader(documentLoaderContent, { cache: false, contextPins });
+  const entries = new Map();
+  const queue = [...urls];
+  while (queue.length > 0) {
+    const url = queue.shift();
+    if (entries.has(url)) {
+      continue;
+    }
+    const result = await documentLoader(url);
+    entries.set(url, await writeCacheEntry(url, result));
+    queue.push(...collectContextUrls(result.document));
+  }
+  return [...entries.values()];
+}
+
+/**
+ * Read the context pins named by the CLI options
+ * @param {Object} options - CLI options
+ * @param {string} [options.contextPins] - Path of a JSON file of SHA-256 hashes by URL, or a context bundle whose hashes are pinned (optional)
+ * @returns {Promise<Object<string, string>>} The pinned hashes by URL
+ */
+export async function getContextPins(options) {
+  if (!options.contextPins) {
+    return {};
+  }
+  let content;
+  try {
+    content = JSON.parse(await fs.readFile(options.contextPins, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read context pins ${options.contextPins}: ${error.message}`);
+  }
+  const contextPins = isContextBundle(content)
+    ? Object.fromEntries(Object.entries(content.contexts).map(([url, { sha256 }]) => [url, sha256]))
+    : content;
+  for (const [url, sha256] of Object.entries(contextPins)) {
+    if (typeof sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(sha256)) {
+      throw new Error(`Pinned hash of ${url} in ${options.contextPins} is not a hex SHA-256 hash`);
+    }
+  }
+  return contextPins;
+}
+
+/**
+ * Read the document loader content named by the CLI options
+ * @param {Object} options - CLI options
+ * @param {string} [options.documentLoaderContent] - Path of a JSON file of documents by URL, a context bundle, or a directory of such files (optional)
+ * @returns {Promise<Object>} The documents by URL
+ */
 export async function getDocumentLoaderContent(options) {
-  let documentLoaderContent = {};
-  if (options.documentLoaderContent) {
+  const contentPath = options.documentLoaderContent;
+  if (!contentPath) {
+    return {};
+  }
+  let filePaths = [contentPath];
+  try {
+    if ((await fs.stat(contentPath)).isDirectory()) {
+      filePaths = (await fs.readdir(contentPath))
+        .filter(name => name.endsWith('.json') || name.endsWith('.jsonld'))
+        .sort()
+        .map(name => path.join(contentPath, name));
+    }
+  } catch (error) {
+    throw new Error(`Failed to read document loader content ${contentPath}: ${error.message}`);
+  }
+
+  const documentLoaderContent = {};
+  for (const filePath of filePaths) {
+    let content;
     try {
-      documentLoaderContent = JSON.parse(await fs.readFile(options.documentLoaderContent, 'utf8'));
+      content = JSON.parse(await fs.readFile(filePath, 'utf8'));
     } catch (error) {
-      console.error('Error:', error.message);
+      throw new Error(`Failed to read document loader content ${filePath}: ${error.message}`);
     }
+    Object.assign(documentLoaderContent, isContextBundle(content) ? contextBundleContent(content) : content);
   }
   return documentLoaderContent;
 }
@@ -0,0 +1,38 @@
+import { spawn } from 'node:child_process';
+
+/**
+ * Create a signer callback that delegates to an external command, such as a KMS client.
+ * The bytes to sign are written to the command's stdin, and it must write the raw
+ * signature to stdout and exit with status 0.
+ * @param {string} command - Shell command to run for each signature
+ * @param {Object} [options] - Options for the command
+ * @param {string} [options.keyId] - Key ID, passed to the command as `VC_SIGNER_KEY_ID` (optional)
+ * @returns {function(Uint8Array): Promise<Uint8Array>} The signer callback
+ */
+export function createCommandSigner(command, { keyId } = {}) {
+  return (data) => new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'pipe', 'inherit'],
+      env: { ...process.env, VC_SIGNER_KEY_ID: keyId ?? '' }
+    });
+
+    const chunks = [];
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.on('error', error => reject(new Error(`Failed to run signer command: ${error.message}`)));
+    // The command may exit without reading its input; its exit status is reported instead
+    child.stdin.on('error', () => {});
+    child.on('close', (code) => {
+      const signature = Buffer.concat(chunks);
+      if (code !== 0) {
+        reject(new Error(`Signer command exited with status ${code}`));
+      } else if (signature.length === 0) {
+        reject(new Error('Signer command returned an empty signature'));
+      } else {
+        resolve(new Uint8Array(signature));
+      }
+    });
+
+    child.stdin.end(Buffer.from(data));
+  });
+}
@@ -0,0 +1,93 @@
+import { createHash } from 'node:crypto';
+
+export const CONTEXT_BUNDLE_TYPE = 'ContextBundle';
+
+/**
+ * Hash a document as it is recorded in context bundles, cache entries and context pins
+ * @param {*} document - JSON document
+ * @returns {string} The hex SHA-256 hash of the document serialized with `JSON.stringify`
+ */
+export function contextHash(document) {
+  return createHash('sha256').update(JSON.stringify(document)).digest('hex');
+}
+
+/**
+ * Collect the URLs of the remote contexts a JSON-LD document references, including
+ * embedded and scoped contexts and `@import`
+ * @param {*} value - JSON-LD document, context document or any value within them
+ * @returns {string[]} The referenced context URLs
+ */
+export function collectContextUrls(value) {
+  const urls = new Set();
+  const visit = (node, inContext) => {
+    if (typeof node === 'string') {
+      if (inContext) {
+        urls.add(node);
+      }
+    } else if (Array.isArray(node)) {
+      node.forEach(item => visit(item, inContext));
+    } else if (node && typeof node === 'object') {
+      for (const [key, item] of Object.entries(node)) {
+        if (key === '@context' || (inContext && key === '@import')) {
+          visit(item, true);
+        } else if (inContext && item && typeof item === 'object') {
+          // Term definitions may carry scoped contexts
+          visit(item, false);
+        } else if (!inContext) {
+          visit(item, false);
+        }
+      }
+    }
+  };
+  visit(value, false);
+  return [...urls];
+}
+
+/**
+ * Load every context the documents reference, and the contexts those reference, into a bundle
+ * that can be used as document loader content
+ * @param {Object[]} documents - JSON-LD documents
+ * @param {function(string): Promise<Object>} documentLoader - Loader to fetch the contexts with
+ * @returns {Promise<Object>} The bundle, with each context and its SHA-256 hash by URL
+ */
+export async function createContextBundle(documents, documentLoader) {
+  const contexts = {};
+  const queue = documents.flatMap(collectContextUrls);
+  while (queue.length > 0) {
+    const url = queue.shift();
+    if (contexts[url]) {
+      continue;
+    }
+    let { document } = await documentLoader(url);
+    if (typeof document === 'string') {
+      document = JSON.parse(document);
+    }
+    contexts[url] = { sha256: contextHash(document), document };
+    queue.push(...collectContextUrls(document));
+  }
+  const sorted = Object.fromEntries(Object.keys(contexts).sort().map(url => [url, contexts[url]]));
+  return { type: CONTEXT_BUNDLE_TYPE, contexts: sorted };
+}
+
+/**
+ * Check whether a JSON value is a context bundle
+ * @param {*} value - Parsed JSON
+ * @returns {boolean} Whether it is a context bundle
+ */
+export function isContextBundle(value) {
+  return value?.type === CONTEXT_BUNDLE_TYPE && typeof value.contexts === 'object';
+}
+
+/**
+ * Get the document loader content of a context bundle, checking each context against its hash
+ * @param {Object} bundle - Context bundle, from `createContextBundle`
+ * @returns {Object} The contexts by URL
+ */
+export function contextBundleContent(bundle) {
+  return Object.fromEntries(Object.entries(bundle.contexts).map(([url, { sha256, document }]) => {
+    if (contextHash(document) !== sha256) {
+      throw new Error(`Context ${url} in the bundle does not match its hash`);
+    }
+    return [url, document];
+  }));
+}
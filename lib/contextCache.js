@@ -0,0 +1,147 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { contextHash } from './contextBundle.js';
+
+// The package cache ships with the package and is only read; documents fetched at
+// runtime are written to the process cache in the working directory
+const PACKAGE_CACHE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '.cache');
+const PROCESS_CACHE_DIR = '.cache';
+
+// Cache entries are named by the hash of their URL
+const cacheFileName = (url) => `${createHash('sha256').update(url).digest('hex')}.json`;
+
+// Helper function to try reading a cache entry
+const tryReadEntry = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Read a document from the package cache, or else the process cache
+ * @param {string} url - URL of the document
+ * @returns {Promise<Object|null>} The document loader result, or null if it is not cached
+ */
+export async function readCacheEntry(url) {
+  for (const directory of [PACKAGE_CACHE_DIR, PROCESS_CACHE_DIR]) {
+    const entry = await tryReadEntry(path.join(directory, cacheFileName(url)));
+    if (entry) {
+      const { contextUrl = null, document, documentUrl = url } = entry;
+      return { contextUrl, document, documentUrl };
+    }
+  }
+  return null;
+}
+
+/**
+ * Write a fetched document to the process cache, recording its URL, fetch time and hash
+ * @param {string} url - URL the document was fetched from
+ * @param {Object} result - Document loader result
+ * @returns {Promise<Object>} The cache entry
+ */
+export async function writeCacheEntry(url, { contextUrl = null, document, documentUrl = url }) {
+  const entry = {
+    url,
+    fetched: new Date().toISOString(),
+    sha256: contextHash(document),
+    contextUrl,
+    documentUrl,
+    document
+  };
+  await fs.mkdir(PROCESS_CACHE_DIR, { recursive: true });
+  await fs.writeFile(path.join(PROCESS_CACHE_DIR, cacheFileName(url)), JSON.stringify(entry));
+  return entry;
+}
+
+// Read the entries of a cache directory; entries written before fetch times and hashes
+// were recorded take their URL from the document URL and their fetch time from the file
+async function readCacheDirectory(directory, scope) {
+  let names;
+  try {
+    names = (await fs.readdir(directory)).filter(name => name.endsWith('.json')).sort();
+  } catch (e) {
+    return [];
+  }
+  const entries = [];
+  for (const name of names) {
+    const file = path.join(directory, name);
+    const entry = await tryReadEntry(file);
+    const url = entry?.url ?? entry?.documentUrl ?? null;
+    entries.push({
+      url,
+      fetched: entry?.fetched ?? (await fs.stat(file)).mtime.toISOString(),
+      sha256: entry?.sha256 ?? null,
+      scope,
+      file,
+      document: entry?.document,
+      ...(!entry && { error: 'Cache entry is not valid JSON' }),
+      ...(entry && url && cacheFileName(url) !== name && { error: `Cache entry for ${url} is stored under the wrong name` }),
+      ...(entry && entry.sha256 && contextHash(entry.document) !== entry.sha256 && { error: `Cached ${url} does not match its recorded hash` })
+    });
+  }
+  return entries;
+}
+
+/**
+ * List the entries of the package and process caches
+ * @returns {Promise<Object[]>} The entries, each with its `url`, `fetched` time, `sha256` hash (null
+ * for entries written before hashes were recorded), `scope` (`package` or `process`), `file` and `document`,
+ * and an `error` if the entry is corrupt
+ */
+export async function listCacheEntries() {
+  const entries = await readCacheDirectory(PROCESS_CACHE_DIR, 'process');
+  // Run from the package directory, the package cache is the process cache
+  if (path.resolve(PROCESS_CACHE_DIR) !== PACKAGE_CACHE_DIR) {
+    entries.unshift(...await readCacheDirectory(PACKAGE_CACHE_DIR, 'package'));
+  }
+  return entries;
+}
+
+/**
+ * Check every cache entry against its recorded hash and, for pinned URLs, the pinned hash
+ * @param {Object<string, string>} [contextPins] - SHA-256 hashes of documents by URL (optional)
+ * @returns {Promise<Object[]>} The entries, as from `listCacheEntries`, with an `error` for each that fails
+ */
+export async function verifyCacheEntries(contextPins = {}) {
+  return (await listCacheEntries()).map(entry => {
+    if (!entry.error && contextPins[entry.url] && contextHash(entry.document) !== contextPins[entry.url]) {
+      return { ...entry, error: `Cached ${entry.url} does not match its pinned hash` };
+    }
+    return entry;
+  });
+}
+
+/**
+ * Remove corrupt entries, and entries fetched too long ago, from the process cache
+ * @param {Object} [options] - Prune options
+ * @param {number} [options.maxAge] - Age in milliseconds beyond which entries are removed (optional)
+ * @param {Object<string, string>} [options.contextPins] - Pinned hashes, entries not matching them are removed (optional)
+ * @returns {Promise<Object[]>} The removed entries
+ */
+export async function pruneCache({ maxAge, contextPins } = {}) {
+  const removed = [];
+  for (const entry of await verifyCacheEntries(contextPins)) {
+    const expired = maxAge !== undefined && Date.now() - new Date(entry.fetched).getTime() > maxAge;
+    if (entry.scope === 'process' && (entry.error || expired)) {
+      await fs.rm(entry.file);
+      removed.push(entry);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Remove every entry from the process cache
+ * @returns {Promise<number>} The number of entries removed
+ */
+export async function clearCache() {
+  const entries = (await listCacheEntries()).filter(entry => entry.scope === 'process');
+  for (const entry of entries) {
+    await fs.rm(entry.file);
+  }
+  return entries.length;
+}
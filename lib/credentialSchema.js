@@ -0,0 +1,91 @@
+import Ajv from 'ajv';
+import Ajv2019 from 'ajv/dist/2019.js';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+
+export const CREDENTIAL_SCHEMA_TYPES = ['JsonSchema', 'JsonSchemaCredential'];
+
+// Validators for each JSON Schema dialect VC JSON Schema allows; schemas without
+// a `$schema` are taken to be 2020-12, which the specification recommends
+const DIALECTS = {
+  'https://json-schema.org/draft/2020-12/schema': Ajv2020,
+  'https://json-schema.org/draft/2019-09/schema': Ajv2019,
+  'http://json-schema.org/draft-07/schema': Ajv
+};
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema, draft 2020-12, 2019-09 or 7
+ * @returns {{valid: boolean, errors: string[]}} Whether the value matches, and a message for each mismatch
+ */
+export function validateJsonSchema(value, schema) {
+  const dialect = (schema.$schema ?? 'https://json-schema.org/draft/2020-12/schema').replace(/#$/, '');
+  const Validator = DIALECTS[dialect];
+  if (!Validator) {
+    throw new Error(`Unsupported JSON Schema dialect ${schema.$schema}`);
+  }
+  const ajv = new Validator({ allErrors: true, strict: false });
+  addFormats(ajv);
+  const validate = ajv.compile(schema);
+  const valid = validate(value);
+  return {
+    valid,
+    errors: valid ? [] : validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+  };
+}
+
+/**
+ * Get the JSON Schema of a JsonSchema document or JsonSchemaCredential
+ * @param {Object} document - JSON Schema, or a credential whose subject is a JsonSchema with a `jsonSchema`
+ * @returns {Object} The JSON Schema
+ */
+export function getJsonSchema(document) {
+  if (![].concat(document.type ?? []).includes('JsonSchemaCredential')) {
+    return document;
+  }
+  const subject = document.credentialSubject;
+  if (subject?.type !== 'JsonSchema' || typeof subject.jsonSchema !== 'object') {
+    throw new Error('JsonSchemaCredential must have a JsonSchema credential subject with a jsonSchema');
+  }
+  return subject.jsonSchema;
+}
+
+/**
+ * Validate a credential against each schema in its `credentialSchema`, loading the schemas
+ * with a document loader. The credential is validated without its embedded proof, so that it
+ * is checked the same way when it is signed and when it is verified
+ * @param {Object} credential - Credential to validate
+ * @param {function(string): Promise<Object>} documentLoader - Loader to load the schemas with
+ * @returns {Promise<{present: boolean, valid: boolean, results: Object[]}>} Whether the credential declares
+ * any schemas and matches all of them, with the `id`, `type`, `valid` and `errors` of each schema
+ */
+export async function validateCredentialSchemas(credential, documentLoader) {
+  const { proof, ...document } = credential;
+  const entries = [].concat(credential.credentialSchema ?? []);
+  const results = [];
+  for (const { id, type } of entries) {
+    const result = { id: id ?? null, type: type ?? null, valid: false, errors: [] };
+    try {
+      if (!CREDENTIAL_SCHEMA_TYPES.includes(type)) {
+        throw new Error(`Unsupported credentialSchema type ${type}`);
+      }
+      let { document: schemaDocument } = await documentLoader(id);
+      if (typeof schemaDocument === 'string') {
+        schemaDocument = JSON.parse(schemaDocument);
+      }
+      if (type === 'JsonSchemaCredential' && ![].concat(schemaDocument.type ?? []).includes('JsonSchemaCredential')) {
+        throw new Error('it is not a JsonSchemaCredential');
+      }
+      Object.assign(result, validateJsonSchema(document, getJsonSchema(schemaDocument)));
+    } catch (error) {
+      result.errors.push(`Cannot validate against schema ${id}: ${error.message}`);
+    }
+    results.push(result);
+  }
+  return {
+    present: entries.length > 0,
+    valid: results.every(result => result.valid),
+    results
+  };
+}
@@ -0,0 +1,346 @@
+import { decode, encode } from 'cborg';
+import { createHash, randomBytes } from 'node:crypto';
+
+export const ENVELOPES = ['jwt', 'sd-jwt', 'cose'];
+
+// JOSE algorithm for each Multikey signer algorithm
+const JOSE_ALGORITHMS = {
+  Ed25519: 'EdDSA',
+  'P-256': 'ES256',
+  'P-384': 'ES384'
+};
+
+const COSE_ALGORITHMS = {
+  EdDSA: -8,
+  ES256: -7,
+  ES384: -35
+};
+
+// JWS typ of each JOSE envelope
+const JOSE_TYPES = {
+  jwt: 'vc+jwt',
+  'sd-jwt': 'vc+sd-jwt'
+};
+
+// Claim names that SD-JWT disclosures must not disclose, as they carry the digests of other disclosures
+const RESERVED_CLAIM_NAMES = ['_sd', '...'];
+
+// COSE header labels (RFC 9052)
+const COSE_ALG = 1;
+const COSE_CONTENT_TYPE = 3;
+const COSE_KID = 4;
+const COSE_TYP = 16;
+const COSE_SIGN1_TAG = 18;
+
+// COSE typ and content type of a credential secured with COSE
+const COSE_TYPE = 'application/vc+cose';
+const COSE_CONTENT_TYPE_VC = 'application/vc';
+
+const toBase64url = (value) => Buffer.from(value).toString('base64url');
+const fromBase64url = (value) => new Uint8Array(Buffer.from(value, 'base64url'));
+const digest = (disclosure) => createHash('sha256').update(disclosure).digest('base64url');
+const escapePointer = (name) => String(name).replaceAll('~', '~0').replaceAll('/', '~1');
+
+/**
+ * Get the JOSE algorithm for a key type
+ * @param {string} keyType - Key type from `getKeyType`
+ * @returns {string|undefined} The JOSE algorithm, or undefined if the key cannot sign envelopes
+ */
+export function joseAlgorithmForKeyType(keyType) {
+  return { ed25519: 'EdDSA', 'ecdsa-p256': 'ES256', 'ecdsa-p384': 'ES384' }[keyType];
+}
+
+/**
+ * Sign a credential as a VC-JOSE-COSE enveloped credential
+ * @param {Object} options - Options for signing
+ * @param {Object} options.credential - Unsecured credential to sign
+ * @param {Object} options.signer - Signer with `id`, `algorithm` and `sign({ data })`
+ * @param {string} options.envelope - One of `ENVELOPES`
+ * @returns {Promise<string|Uint8Array>} A compact JWT or SD-JWT, or a COSE_Sign1 message
+ */
+export async function signEnvelope({ credential, signer, envelope }) {
+  const alg = JOSE_ALGORITHMS[signer.algorithm];
+  if (!alg) {
+    throw new Error(`Keys using ${signer.algorithm} cannot sign enveloped credentials`);
+  }
+
+  switch (envelope) {
+    case 'jwt':
+      return signJws({ alg, kid: signer.id, typ: JOSE_TYPES.jwt, cty: 'vc' }, credential, signer);
+    case 'sd-jwt': {
+      const disclosures = [];
+      const payload = { ...makeSelectivelyDisclosable(credential, '', disclosures), _sd_alg: 'sha-256' };
+      const jws = await signJws({ alg, kid: signer.id, typ: JOSE_TYPES['sd-jwt'], cty: 'vc' }, payload, signer);
+      return [jws, ...disclosures, ''].join('~');
+    }
+    case 'cose':
+      return signCoseSign1(alg, credential, signer);
+    default:
+      throw new Error(`Unsupported envelope ${envelope}; expected one of ${ENVELOPES.join(', ')}`);
+  }
+}
+
+async function signJws(header, payload, signer) {
+  const signingInput = `${toBase64url(JSON.stringify(header))}.${toBase64url(JSON.stringify(payload))}`;
+  const signature = await signer.sign({ data: new TextEncoder().encode(signingInput) });
+  return `${signingInput}.${toBase64url(signature)}`;
+}
+
+async function signCoseSign1(alg, credential, signer) {
+  const protectedHeader = encode(new Map([
+    [COSE_ALG, COSE_ALGORITHMS[alg]],
+    [COSE_CONTENT_TYPE, COSE_CONTENT_TYPE_VC],
+    [COSE_KID, new TextEncoder().encode(signer.id)],
+    [COSE_TYP, COSE_TYPE]
+  ]));
+  const payload = new TextEncoder().encode(JSON.stringify(credential));
+  const signature = await signer.sign({ data: coseSigStructure(protectedHeader, payload) });
+  const message = encode([protectedHeader, new Map(), payload, signature]);
+  // cborg has no tag encoder, so prefix the array with the COSE_Sign1 tag (major type 6)
+  return new Uint8Array([0xc0 | COSE_SIGN1_TAG, ...message]);
+}
+
+function coseSigStructure(protectedHeader, payload) {
+  return encode(['Signature1', protectedHeader, new Uint8Array(0), payload]);
+}
+
+// Only claims about the subject are selectively disclosable; the issuer, validity
+// period, status and types must always be visible to verifiers
+function makeSelectivelyDisclosable(value, pointer, disclosures) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => makeSelectivelyDisclosable(item, `${pointer}/${index}`, disclosures));
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const result = {};
+  const digests = [];
+  for (const [name, child] of Object.entries(value)) {
+    const childPointer = `${pointer}/${escapePointer(name)}`;
+    const processed = makeSelectivelyDisclosable(child, childPointer, disclosures);
+    if (childPointer.startsWith('/credentialSubject/') && name !== 'type') {
+      const disclosure = toBase64url(JSON.stringify([randomBytes(16).toString('base64url'), name, processed]));
+      disclosures.push(disclosure);
+      digests.push(digest(disclosure));
+    } else {
+      result[name] = processed;
+    }
+  }
+  if (digests.length > 0) {
+    result._sd = digests.sort();
+  }
+  return result;
+}
+
+/**
+ * Detect the envelope of a secured credential
+ * @param {string|Uint8Array|Object} document - Secured credential
+ * @returns {string|null} One of `ENVELOPES`, or null for credentials with embedded proofs
+ */
+export function getEnvelopeType(document) {
+  if (document instanceof Uint8Array) {
+    return 'cose';
+  }
+  if (typeof document === 'string') {
+    return document.includes('~') ? 'sd-jwt' : 'jwt';
+  }
+  return null;
+}
+
+/**
+ * Decode an enveloped credential without checking its signature
+ * @param {string|Uint8Array} document - Compact JWT or SD-JWT, or a COSE_Sign1 message
+ * @returns {{envelope: string, alg: string, kid: string, credential: Object, signingInput: Uint8Array, signature: Uint8Array, disclosures: Object[]}} The decoded envelope
+ */
+export function decodeEnvelope(document) {
+  const envelope = getEnvelopeType(document);
+  if (envelope === 'cose') {
+    return decodeCoseSign1(document);
+  }
+  if (envelope === null) {
+    throw new Error('Document is not an enveloped credential');
+  }
+
+  const [jws, ...rest] = document.trim().split('~');
+  const parts = jws.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Enveloped credential is not a compact JWS');
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error(`Enveloped credential has a malformed JWS header or payload: ${error.message}`);
+  }
+  // Only a credential secured as a JWT or SD-JWT is decoded as one, not any other JWS
+  const typ = JOSE_TYPES[envelope];
+  if (header.typ !== typ) {
+    throw new Error(`Enveloped credential has JWS typ ${header.typ}, expected ${typ}`);
+  }
+  // No JWS extensions are understood, so any critical one makes the JWS invalid (RFC 7515, section 4.1.11)
+  if (header.crit !== undefined) {
+    throw new Error(`Enveloped credential has unsupported critical JWS header parameters ${JSON.stringify(header.crit)}`);
+  }
+
+  // A non-empty final component would be a key binding JWT, which is not supported
+  if (rest.length > 0 && rest[rest.length - 1] !== '') {
+    throw new Error('SD-JWT key binding is not supported');
+  }
+  const encodedDisclosures = rest.filter(d => d !== '');
+
+  const disclosures = [];
+  const credential = envelope === 'sd-jwt'
+    ? resolveDisclosures(payload, encodedDisclosures, disclosures)
+    : payload;
+
+  return {
+    envelope,
+    alg: header.alg,
+    kid: header.kid,
+    credential,
+    signingInput: new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`),
+    signature: fromBase64url(encodedSignature),
+    disclosures
+  };
+}
+
+function decodeCoseSign1(document) {
+  let message;
+  try {
+    message = decode(document, {
+      useMaps: true,
+      tags: Object.assign([], { [COSE_SIGN1_TAG]: (inner) => inner })
+    });
+  } catch (error) {
+    throw new Error(`Enveloped credential is not a COSE_Sign1 message: ${error.message}`);
+  }
+  if (!Array.isArray(message) || message.length !== 4) {
+    throw new Error('Enveloped credential is not a COSE_Sign1 message');
+  }
+
+  const [protectedHeader, , payload, signature] = message;
+  const header = decode(protectedHeader, { useMaps: true });
+  // Only a credential secured with COSE is decoded as one, not any other COSE_Sign1 payload
+  if (header.get(COSE_TYP) !== COSE_TYPE) {
+    throw new Error(`Enveloped credential has COSE typ ${header.get(COSE_TYP)}, expected ${COSE_TYPE}`);
+  }
+  if (header.get(COSE_CONTENT_TYPE) !== COSE_CONTENT_TYPE_VC) {
+    throw new Error(`Enveloped credential has COSE content type ${header.get(COSE_CONTENT_TYPE)}, expected ${COSE_CONTENT_TYPE_VC}`);
+  }
+  const alg = Object.keys(COSE_ALGORITHMS).find(name => COSE_ALGORITHMS[name] === header.get(COSE_ALG));
+  const kid = header.get(COSE_KID);
+
+  return {
+    envelope: 'cose',
+    alg: alg ?? `COSE ${header.get(COSE_ALG)}`,
+    kid: kid && new TextDecoder().decode(kid),
+    credential: JSON.parse(new TextDecoder().decode(payload)),
+    signingInput: coseSigStructure(protectedHeader, payload),
+    signature,
+    disclosures: []
+  };
+}
+
+// Replace the digests in an SD-JWT payload with the claims of the given disclosures,
+// recording the JSON pointer of each disclosed claim
+function resolveDisclosures(payload, encodedDisclosures, disclosures) {
+  if (payload._sd_alg && payload._sd_alg !== 'sha-256') {
+    throw new Error(`Unsupported SD-JWT digest algorithm ${payload._sd_alg}`);
+  }
+
+  const byDigest = new Map();
+  for (const encoded of encodedDisclosures) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error(`SD-JWT disclosure ${encoded} is malformed: ${error.message}`);
+    }
+    if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[1] !== 'string') {
+      throw new Error(`SD-JWT disclosure ${encoded} is not an object property disclosure`);
+    }
+    if (RESERVED_CLAIM_NAMES.includes(decoded[1])) {
+      throw new Error(`SD-JWT disclosure ${encoded} discloses the reserved claim name ${decoded[1]}`);
+    }
+    byDigest.set(digest(encoded), { encoded, name: decoded[1], value: decoded[2] });
+  }
+
+  const resolve = (value, pointer) => {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => resolve(item, `${pointer}/${index}`));
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    const result = {};
+    for (const [name, child] of Object.entries(value)) {
+      if (name !== '_sd' && name !== '_sd_alg') {
+        result[name] = resolve(child, `${pointer}/${escapePointer(name)}`);
+      }
+    }
+    for (const sdDigest of value._sd ?? []) {
+      const disclosure = byDigest.get(sdDigest);
+      if (!disclosure) {
+        continue;
+      }
+      byDigest.delete(sdDigest);
+      // A disclosure must not replace a claim the issuer signed in the clear or another disclosure
+      if (Object.hasOwn(result, disclosure.name)) {
+        throw new Error(`SD-JWT disclosure ${disclosure.encoded} discloses ${disclosure.name}, which is already a claim at ${pointer || '/'}`);
+      }
+      const childPointer = `${pointer}/${escapePointer(disclosure.name)}`;
+      disclosures.push({ pointer: childPointer, encoded: disclosure.encoded });
+      result[disclosure.name] = resolve(disclosure.value, childPointer);
+    }
+    return result;
+  };
+
+  const credential = resolve(payload, '');
+  if (byDigest.size > 0) {
+    throw new Error(`SD-JWT disclosure ${[...byDigest.values()][0].encoded} is not referenced by the issuer-signed JWT`);
+  }
+  return credential;
+}
+
+/**
+ * Keep only the SD-JWT disclosures needed to reveal the given claims
+ * @param {string} sdJwt - SD-JWT with all disclosures the holder received
+ * @param {string[]} revealPointers - JSON pointers of the claims to reveal
+ * @returns {string} The SD-JWT with the selected disclosures
+ */
+export function selectDisclosures(sdJwt, revealPointers) {
+  const { credential, disclosures } = decodeEnvelope(sdJwt);
+
+  for (const pointer of revealPointers) {
+    if (!hasPointer(credential, pointer)) {
+      throw new Error(`JSON pointer "${pointer}" does not match document.`);
+    }
+  }
+
+  // Revealing a claim reveals everything below it, and requires the disclosures of its parents
+  const selected = disclosures.filter(({ pointer }) => revealPointers.some(reveal =>
+    reveal === pointer || reveal.startsWith(`${pointer}/`) || pointer.startsWith(`${reveal}/`)
+  ));
+
+  return [sdJwt.split('~')[0], ...selected.map(d => d.encoded), ''].join('~');
+}
+
+function hasPointer(document, pointer) {
+  if (pointer === '') {
+    return true;
+  }
+  let value = document;
+  for (const token of pointer.slice(1).split('/')) {
+    const name = token.replaceAll('~1', '/').replaceAll('~0', '~');
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, name)) {
+      return false;
+    }
+    value = value[name];
+  }
+  return true;
+}
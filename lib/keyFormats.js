@@ -0,0 +1,109 @@
+import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import { createPrivateKey, createPublicKey } from 'node:crypto';
+
+export const KEY_FORMATS = ['jwk', 'pem', 'multibase'];
+
+// JWK key and curve types of each key type
+const JWK_CURVES = {
+  ed25519: { kty: 'OKP', crv: 'Ed25519' },
+  bbs: { kty: 'OKP', crv: 'Bls12381G2' },
+  'ecdsa-p256': { kty: 'EC', crv: 'P-256' },
+  'ecdsa-p384': { kty: 'EC', crv: 'P-384' }
+};
+
+/**
+ * Get the key type of a JWK from its key and curve type
+ * @param {Object} jwk - Public or private JWK
+ * @returns {'bbs'|'ed25519'|'ecdsa-p256'|'ecdsa-p384'} The key type
+ */
+export function jwkKeyType(jwk) {
+  const keyType = Object.keys(JWK_CURVES)
+    .find(type => JWK_CURVES[type].kty === jwk?.kty && JWK_CURVES[type].crv === jwk?.crv);
+  if (!keyType) {
+    throw new Error(`Unsupported JWK with kty ${jwk?.kty} and crv ${jwk?.crv}; expected Ed25519, Bls12381G2, P-256 or P-384`);
+  }
+  return keyType;
+}
+
+function multikeyModule(keyType) {
+  switch (keyType) {
+    case 'ed25519':
+      return Ed25519Multikey;
+    case 'bbs':
+      return Bls12381Multikey;
+    default:
+      return EcdsaMultikey;
+  }
+}
+
+/**
+ * Convert a JWK into the multibase public key, and private key if it has one, used in CID documents
+ * @param {Object} jwk - Public or private JWK
+ * @returns {Promise<{keyType: string, publicKeyMultibase: string, privateKey: (string|undefined)}>} The key
+ */
+export async function keyFromJwk(jwk) {
+  const keyType = jwkKeyType(jwk);
+  const keyPair = await multikeyModule(keyType).fromJwk({ jwk, secretKey: true });
+  const { publicKeyMultibase, secretKeyMultibase } = await keyPair.export({
+    publicKey: true,
+    secretKey: jwk.d !== undefined,
+    includeContext: false
+  });
+  return { keyType, publicKeyMultibase, privateKey: secretKeyMultibase };
+}
+
+/**
+ * Convert a PEM encoded SPKI public key or PKCS #8 private key into the multibase keys used in CID documents
+ * @param {string} pem - PEM encoded Ed25519, P-256 or P-384 key
+ * @returns {Promise<{keyType: string, publicKeyMultibase: string, privateKey: (string|undefined)}>} The key
+ */
+export async function keyFromPem(pem) {
+  let key;
+  try {
+    key = pem.includes('PRIVATE KEY') ? createPrivateKey(pem) : createPublicKey(pem);
+  } catch (error) {
+    throw new Error(`Failed to read PEM key: ${error.message}`);
+  }
+  return keyFromJwk(key.export({ format: 'jwk' }));
+}
+
+/**
+ * Convert a key from the multibase form used in CID documents
+ * @param {Object} key - Key to convert
+ * @param {string} key.keyType - Key type, from `getKeyType`
+ * @param {string} key.publicKeyMultibase - Multibase public key
+ * @param {string} [key.privateKey] - Multibase private key (optional)
+ * @param {string} format - One of `KEY_FORMATS`; BBS keys have no PEM encoding
+ * @returns {Promise<{publicKey: (Object|string), privateKey: (Object|string|undefined)}>} The public key, and private key if given
+ */
+export async function exportKey({ keyType, publicKeyMultibase, privateKey }, format) {
+  if (!KEY_FORMATS.includes(format)) {
+    throw new Error(`Unsupported key format ${format}; expected one of ${KEY_FORMATS.join(', ')}`);
+  }
+  if (format === 'multibase') {
+    return { publicKey: publicKeyMultibase, privateKey };
+  }
+  if (format === 'pem' && keyType === 'bbs') {
+    throw new Error('BBS keys have no PEM encoding; use the jwk or multibase format');
+  }
+
+  const module = multikeyModule(keyType);
+  const keyPair = keyType === 'bbs'
+    ? await module.from({ publicKeyMultibase, secretKeyMultibase: privateKey }, { algorithm: Bls12381Multikey.ALGORITHMS.BBS_BLS12381_SHA256 })
+    : await module.from({ publicKeyMultibase, secretKeyMultibase: privateKey });
+  // Keep only the key material, dropping the WebCrypto key_ops and ext members
+  const { kty, crv, alg, x, y, d } = await module.toJwk({ keyPair, secretKey: privateKey !== undefined });
+  const publicJwk = JSON.parse(JSON.stringify({ kty, crv, alg, x, y }));
+  // Ed25519 private keys are stored with their public key appended, but a JWK holds only the 32 byte seed
+  const privateJwk = d && { ...publicJwk, d: keyType === 'ed25519' ? Buffer.from(d, 'base64url').subarray(0, 32).toString('base64url') : d };
+
+  if (format === 'jwk') {
+    return { publicKey: publicJwk, privateKey: privateJwk };
+  }
+  return {
+    publicKey: createPublicKey({ key: publicJwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' }),
+    privateKey: privateJwk && createPrivateKey({ key: privateJwk, format: 'jwk' }).export({ type: 'pkcs8', format: 'pem' })
+  };
+}
@@ -0,0 +1,83 @@
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scryptAsync = promisify(scrypt);
+
+export const KEYSTORE_TYPE = 'EncryptedPrivateKeys';
+
+// OWASP recommended scrypt cost parameters; the parameters are stored in the
+// keystore so they can be raised later without breaking existing files
+const SCRYPT_PARAMS = { N: 2 ** 17, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+const deriveKey = ({ N, r, p, salt }, passphrase) => scryptAsync(passphrase, Buffer.from(salt, 'base64url'), KEY_LENGTH, {
+  N,
+  r,
+  p,
+  maxmem: 256 * N * r
+});
+
+/**
+ * Check whether parsed private keys content is an encrypted keystore
+ * @param {Object} content - Parsed content of a private keys file
+ * @returns {boolean} Whether the content is an encrypted keystore
+ */
+export function isEncryptedKeystore(content) {
+  return content?.type === KEYSTORE_TYPE;
+}
+
+/**
+ * Encrypt private keys with a passphrase, using scrypt and AES-256-GCM
+ * @param {Object} privateKeys - Private keys by verification method id
+ * @param {string} passphrase - Passphrase to derive the encryption key from
+ * @returns {Promise<Object>} The encrypted keystore
+ */
+export async function encryptPrivateKeys(privateKeys, passphrase) {
+  if (!passphrase) {
+    throw new Error('A passphrase is required to encrypt private keys');
+  }
+  const kdf = { name: 'scrypt', ...SCRYPT_PARAMS, salt: randomBytes(16).toString('base64url') };
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', await deriveKey(kdf, passphrase), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(privateKeys), 'utf8'), cipher.final()]);
+
+  return {
+    type: KEYSTORE_TYPE,
+    version: 1,
+    kdf,
+    cipher: {
+      name: 'aes-256-gcm',
+      iv: iv.toString('base64url'),
+      tag: cipher.getAuthTag().toString('base64url')
+    },
+    ciphertext: ciphertext.toString('base64url')
+  };
+}
+
+/**
+ * Decrypt private keys from an encrypted keystore
+ * @param {Object} keystore - Encrypted keystore from `encryptPrivateKeys`
+ * @param {string} passphrase - Passphrase the keystore was encrypted with
+ * @returns {Promise<Object>} The private keys by verification method id
+ */
+export async function decryptPrivateKeys(keystore, passphrase) {
+  if (!isEncryptedKeystore(keystore) || keystore.version !== 1) {
+    throw new Error('Private keys are not an encrypted keystore of a supported version');
+  }
+  if (keystore.kdf?.name !== 'scrypt' || keystore.cipher?.name !== 'aes-256-gcm') {
+    throw new Error(`Unsupported keystore algorithms ${keystore.kdf?.name} and ${keystore.cipher?.name}`);
+  }
+  if (!passphrase) {
+    throw new Error('A passphrase is required to decrypt private keys');
+  }
+
+  const decipher = createDecipheriv('aes-256-gcm', await deriveKey(keystore.kdf, passphrase), Buffer.from(keystore.cipher.iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(keystore.cipher.tag, 'base64url'));
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'base64url')), decipher.final()]);
+  } catch {
+    throw new Error('Failed to decrypt private keys: wrong passphrase or corrupted keystore');
+  }
+  return JSON.parse(plaintext.toString('utf8'));
+}
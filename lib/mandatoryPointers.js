@@ -0,0 +1,42 @@
+import fs from 'node:fs/promises';
+
+/**
+ * The mandatory pointers of each credential type that selective disclosure signatures use by
+ * default: the issuer, validity period and status of every credential, and the types of the
+ * credentials that verifiers must know the kind of
+ */
+export const DEFAULT_MANDATORY_POLICY = JSON.parse(await fs.readFile(new URL('./mandatory-policy.json', import.meta.url), 'utf8'));
+
+// Whether a JSON pointer resolves to a value in a document
+function hasPointer(document, pointer) {
+  let value = document;
+  for (const token of pointer.split('/').slice(1)) {
+    const name = token.replaceAll('~1', '/').replaceAll('~0', '~');
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, name)) {
+      return false;
+    }
+    value = value[name];
+  }
+  return true;
+}
+
+/**
+ * Get the mandatory pointers to sign a credential with a bbs-2023 or ecdsa-sd-2023 proof with,
+ * which every proof derived from it reveals
+ * @param {Object} document - Credential to sign
+ * @param {Object} [options] - Mandatory pointer options
+ * @param {string[]} [options.mandatoryPointers] - Pointers to reveal in addition to the policy's, which must exist in the credential (optional)
+ * @param {Object<string, string[]>} [options.mandatoryPolicy] - Pointers by credential type, used for each of the
+ * credential's types when they exist in it (optional, defaults to `DEFAULT_MANDATORY_POLICY`)
+ * @returns {string[]} The mandatory pointers; `/issuer` is always included so that verifiers can find the issuer's key
+ */
+export function resolveMandatoryPointers(document, { mandatoryPointers = [], mandatoryPolicy = DEFAULT_MANDATORY_POLICY } = {}) {
+  const missing = mandatoryPointers.filter(pointer => !hasPointer(document, pointer));
+  if (missing.length > 0) {
+    throw new Error(`Mandatory pointers not found in the credential: ${missing.join(', ')}`);
+  }
+  const policyPointers = [].concat(document.type ?? [])
+    .flatMap(type => mandatoryPolicy[type] ?? [])
+    .filter(pointer => hasPointer(document, pointer));
+  return [...new Set(['/issuer', ...policyPointers, ...mandatoryPointers])];
+}
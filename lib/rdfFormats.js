@@ -0,0 +1,78 @@
+import { write } from '@jeswr/pretty-turtle';
+import jsonld from 'jsonld';
+import { Parser, Writer } from 'n3';
+import * as canonize from 'rdf-canonize';
+
+// Output formats and the file extensions they are inferred from
+export const RDF_FORMATS = {
+  turtle: ['.ttl'],
+  nquads: ['.nq'],
+  trig: ['.trig'],
+  jsonld: ['.jsonld', '.json']
+};
+
+/**
+ * Infer the RDF format of a file from its extension
+ * @param {string} filePath - Path to the file
+ * @returns {string} One of the keys of `RDF_FORMATS`
+ */
+export function formatFromPath(filePath) {
+  const format = Object.keys(RDF_FORMATS).find(name => RDF_FORMATS[name].some(extension => filePath.endsWith(extension)));
+  if (!format) {
+    throw new Error(`Cannot infer the output format of ${filePath}; use a .ttl, .nq, .trig or .jsonld extension or give a format`);
+  }
+  return format;
+}
+
+/**
+ * Canonicalize quads with RDFC-1.0, so that the same dataset is always written the same way
+ * @param {Object[]} quads - RDF/JS quads
+ * @returns {Promise<Object[]>} The quads in canonical order, with canonical blank node labels
+ */
+export async function canonicalizeQuads(quads) {
+  const nquads = await canonize.canonize(new Writer({ format: 'N-Quads' }).quadsToString(quads), {
+    algorithm: 'RDFC-1.0',
+    inputFormat: 'application/n-quads'
+  });
+  // Keep the canonical labels rather than prefixing them as the parser does by default
+  return new Parser({ format: 'N-Quads', blankNodePrefix: '' }).parse(nquads);
+}
+
+/**
+ * Serialize quads in an RDF format
+ * @param {Object[]} quads - RDF/JS quads
+ * @param {string} format - One of the keys of `RDF_FORMATS`
+ * @param {Object<string, string>} [prefixes] - Prefixes to abbreviate IRIs with, where the format has them (optional)
+ * @returns {Promise<string>} The serialized quads
+ */
+export async function serializeQuads(quads, format, prefixes = {}) {
+  switch (format) {
+    case 'turtle':
+      if (quads.some(quad => quad.graph.termType !== 'DefaultGraph')) {
+        throw new Error('Turtle cannot hold named graphs; use nquads, trig or jsonld');
+      }
+      return write(quads, { prefixes });
+    case 'nquads':
+      return new Writer({ format: 'N-Quads' }).quadsToString(quads);
+    case 'trig': {
+      // Group the quads of each graph so that every graph is written as a single block
+      const graphs = new Map();
+      for (const quad of quads) {
+        const key = `${quad.graph.termType}:${quad.graph.value}`;
+        if (!graphs.has(key)) {
+          graphs.set(key, []);
+        }
+        graphs.get(key).push(quad);
+      }
+      const writer = new Writer({ format: 'application/trig', prefixes });
+      writer.addQuads([...graphs.values()].flat());
+      return new Promise((resolve, reject) => writer.end((error, result) => (error ? reject(error) : resolve(result))));
+    }
+    case 'jsonld': {
+      const expanded = await jsonld.fromRDF(new Writer({ format: 'N-Quads' }).quadsToString(quads), { format: 'application/n-quads' });
+      return JSON.stringify(await jsonld.compact(expanded, { '@context': prefixes }), null, 2);
+    }
+    default:
+      throw new Error(`Unsupported format ${format}; use one of ${Object.keys(RDF_FORMATS).join(', ')}`);
+  }
+}
@@ -0,0 +1,240 @@
+import * as cborg from 'cborg';
+import { decodeEnvelope, getEnvelopeType } from './envelope.js';
+
+// CBOR tags that begin the base proof values of the selective disclosure cryptosuites;
+// both hold the mandatory pointers chosen at signing as their fifth element
+const BASE_PROOF_PREFIXES = {
+  'bbs-2023': [0xd9, 0x5d, 0x02],
+  'ecdsa-sd-2023': [0xd9, 0x5d, 0x00]
+};
+
+const escapePointer = (name) => name.replaceAll('~', '~0').replaceAll('/', '~1');
+
+// Collect the pointer of every value below a value, skipping the given top level members
+function collectPointers(value, pointer, pointers, skip = []) {
+  const children = Array.isArray(value)
+    ? value.map((item, index) => [String(index), item])
+    : value !== null && typeof value === 'object' ? Object.entries(value) : [];
+  for (const [name, child] of children) {
+    if (!skip.includes(name)) {
+      const childPointer = `${pointer}/${escapePointer(name)}`;
+      pointers.push(childPointer);
+      collectPointers(child, childPointer, pointers);
+    }
+  }
+  return pointers;
+}
+
+const isWithin = (pointer, ancestor) => pointer === ancestor || pointer.startsWith(`${ancestor}/`);
+
+// The JSON a pointer is resolved against: the decoded credential of an SD-JWT, or the document itself
+const credentialOf = (document) => (typeof document === 'string' ? decodeEnvelope(document).credential : document);
+
+// Members of the credential that are never disclosed as claims
+const NON_CLAIMS = ['@context', 'proof'];
+
+/**
+ * Get the mandatory pointers a bbs-2023 or ecdsa-sd-2023 base proof was created with
+ * @param {Object} proof - Base proof
+ * @returns {string[]} The mandatory pointers, which every derived proof reveals
+ */
+export function getMandatoryPointers(proof) {
+  const prefix = BASE_PROOF_PREFIXES[proof?.cryptosuite];
+  const proofValue = typeof proof?.proofValue === 'string' && proof.proofValue[0] === 'u'
+    ? Buffer.from(proof.proofValue.slice(1), 'base64url')
+    : null;
+  if (!prefix || !proofValue || !prefix.every((byte, index) => proofValue[index] === byte)) {
+    throw new Error('Document does not have a bbs-2023 or ecdsa-sd-2023 base proof to derive from');
+  }
+  const mandatoryPointers = cborg.decode(proofValue.subarray(prefix.length), { useMaps: true })[4];
+  if (!Array.isArray(mandatoryPointers) || !mandatoryPointers.every(pointer => typeof pointer === 'string')) {
+    throw new Error(`The ${proof.cryptosuite} base proof does not hold valid mandatory pointers`);
+  }
+  return mandatoryPointers;
+}
+
+/**
+ * List the JSON pointers that can be revealed when deriving from a credential
+ * @param {Object|string} document - Credential with a bbs-2023 or ecdsa-sd-2023 base proof, or an SD-JWT
+ * @returns {{pointer: string, mandatory: boolean}[]} Every pointer, in document order; `mandatory`
+ * pointers are revealed whether or not they are selected
+ */
+export function listDisclosablePointers(document) {
+  if (typeof document === 'string') {
+    if (getEnvelopeType(document) !== 'sd-jwt') {
+      throw new Error('Only SD-JWT enveloped credentials support selective disclosure');
+    }
+    // Claims without a disclosure at, above or below them are always revealed
+    const { credential, disclosures } = decodeEnvelope(document);
+    return collectPointers(credential, '', []).map(pointer => ({
+      pointer,
+      mandatory: !disclosures.some(disclosure => isWithin(pointer, disclosure.pointer) || isWithin(disclosure.pointer, pointer))
+    }));
+  }
+
+  const proof = [].concat(document.proof ?? []).find(p => BASE_PROOF_PREFIXES[p.cryptosuite]);
+  const mandatoryPointers = getMandatoryPointers(proof);
+  return collectPointers(document, '', [], ['@context', 'proof']).map(pointer => ({
+    pointer,
+    mandatory: mandatoryPointers.some(mandatory => isWithin(pointer, mandatory))
+  }));
+}
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Suggest up to three pointers close to one that does not exist
+function suggestPointers(pointer, pointers) {
+  const wanted = pointer.startsWith('/') ? pointer : `/${pointer}`;
+  const limit = Math.max(2, Math.floor(wanted.length / 5));
+  return pointers
+    .map(candidate => ({ candidate, distance: editDistance(wanted.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(({ distance }) => distance <= limit)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ candidate }) => candidate);
+}
+
+// Children of a value matching a reveal spec segment: `*` matches every member or element,
+// a number an array element, and a name the member of an object or of every object in an array
+function matchSegment(value, pointer, segment) {
+  if (Array.isArray(value)) {
+    if (segment === '*' || /^\d+$/.test(segment)) {
+      return value
+        .map((item, index) => ({ value: item, pointer: `${pointer}/${index}` }))
+        .filter((_, index) => segment === '*' || index === Number(segment));
+    }
+    return value.flatMap((item, index) => matchSegment(item, `${pointer}/${index}`, segment));
+  }
+  if (value === null || typeof value !== 'object') {
+    return [];
+  }
+  return Object.entries(value)
+    .filter(([name]) => (segment === '*' ? !(pointer === '' && NON_CLAIMS.includes(name)) : name === segment))
+    .map(([name, child]) => ({ value: child, pointer: `${pointer}/${escapePointer(name)}` }));
+}
+
+/**
+ * Compile a reveal spec, such as `credentialSubject.givenName, credentialSubject.driversLicense.*`,
+ * into the JSON pointers it selects in a credential. Each path is a dot separated list of member
+ * names; `*` matches every member or array element, a number an array element, and names apply to
+ * every element of an array
+ * @param {Object|string} document - Credential with a bbs-2023 or ecdsa-sd-2023 base proof, or an SD-JWT
+ * @param {string|string[]} spec - Comma separated paths, or an array of them
+ * @returns {string[]} The selected JSON pointers
+ */
+export function compileRevealSpec(document, spec) {
+  const credential = credentialOf(document);
+  const paths = (Array.isArray(spec) ? spec : spec.split(',')).map(path => path.trim()).filter(path => path !== '');
+  if (paths.length === 0) {
+    throw new Error('Reveal spec is empty');
+  }
+
+  const pointers = [];
+  for (const path of paths) {
+    const matches = path.split('.').reduce(
+      (current, segment) => current.flatMap(({ value, pointer }) => matchSegment(value, pointer, segment)),
+      [{ value: credential, pointer: '' }]
+    );
+    if (matches.length === 0) {
+      // Suggest paths as pointers with dots for separators, so they compare like for like
+      const dotted = listDisclosablePointers(document)
+        .map(({ pointer }) => `/${pointer.slice(1).split('/').map(token => token.replaceAll('~1', '/').replaceAll('~0', '~')).join('.')}`);
+      const suggestions = path.includes('*') ? [] : suggestPointers(path, dotted).map(suggestion => suggestion.slice(1));
+      throw new Error(`Reveal spec ${path} matches nothing in the credential${suggestions.length > 0 ? ` (did you mean ${suggestions.join(' or ')}?)` : ''}`);
+    }
+    pointers.push(...matches.map(({ pointer }) => pointer));
+  }
+  return [...new Set(pointers)];
+}
+
+/**
+ * Compile a JSON-LD frame into the JSON pointers it selects in a credential. As in JSON-LD framing,
+ * a node frame with `"@explicit": true` selects only the properties it names, and one without selects
+ * every property; named properties are selected by their own frame, and a property framed with `{}`
+ * or a value pattern is selected whole. The frame is matched against the credential's terms as they
+ * are written, so it must use the credential's context; properties the credential lacks are skipped
+ * @param {Object|string} document - Credential with a bbs-2023 or ecdsa-sd-2023 base proof, or an SD-JWT
+ * @param {Object} frame - JSON-LD frame
+ * @returns {string[]} The selected JSON pointers
+ */
+export function compileFrame(document, frame) {
+  const pointers = [];
+  const select = (nodeFrame, value, pointer) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => select(nodeFrame, item, `${pointer}/${index}`));
+      return;
+    }
+    const named = Object.keys(nodeFrame).filter(key => !key.startsWith('@') || key === '@id' || key === '@type');
+    if (value === null || typeof value !== 'object' || (named.length === 0 && nodeFrame['@explicit'] !== true && pointer !== '')) {
+      pointers.push(pointer);
+      return;
+    }
+    for (const [name, child] of Object.entries(value)) {
+      if (pointer === '' && NON_CLAIMS.includes(name)) {
+        continue;
+      }
+      // Frames may use the keywords that VC contexts alias to id and type
+      const key = named.find(key => key === name || (key === `@${name}` && (name === 'id' || name === 'type')));
+      if (key !== undefined) {
+        const childFrame = [].concat(nodeFrame[key])[0];
+        select(childFrame !== null && typeof childFrame === 'object' ? childFrame : {}, child, `${pointer}/${escapePointer(name)}`);
+      } else if (nodeFrame['@explicit'] !== true) {
+        pointers.push(`${pointer}/${escapePointer(name)}`);
+      }
+    }
+  };
+  select(frame, credentialOf(document), '');
+  if (pointers.length === 0) {
+    throw new Error('Frame selects nothing in the credential');
+  }
+  return pointers;
+}
+
+/**
+ * Get the JSON pointers to reveal from pointers, a reveal spec and a frame, combined
+ * @param {Object|string} document - Credential with a bbs-2023 or ecdsa-sd-2023 base proof, or an SD-JWT
+ * @param {Object} options - What to reveal; at least one is required
+ * @param {string[]} [options.revealPointers] - JSON pointers (optional)
+ * @param {string|string[]} [options.revealSpec] - Reveal spec, see `compileRevealSpec` (optional)
+ * @param {Object} [options.frame] - JSON-LD frame, see `compileFrame` (optional)
+ * @returns {string[]} The JSON pointers to reveal
+ */
+export function resolveRevealPointers(document, { revealPointers, revealSpec, frame }) {
+  if (revealPointers === undefined && revealSpec === undefined && frame === undefined) {
+    throw new Error('One of revealPointers, revealSpec or frame is required');
+  }
+  return [...new Set([
+    ...(revealPointers ?? []),
+    ...(revealSpec !== undefined ? compileRevealSpec(document, revealSpec) : []),
+    ...(frame !== undefined ? compileFrame(document, frame) : [])
+  ])];
+}
+
+/**
+ * Check that every pointer to reveal exists in a credential, suggesting close matches for those that do not
+ * @param {Object|string} document - Credential with a bbs-2023 or ecdsa-sd-2023 base proof, or an SD-JWT
+ * @param {string[]} revealPointers - JSON pointers to reveal
+ */
+export function validateRevealPointers(document, revealPointers) {
+  const pointers = listDisclosablePointers(document).map(({ pointer }) => pointer);
+  const unknown = revealPointers.filter(pointer => !pointers.includes(pointer)).map(pointer => {
+    const suggestions = suggestPointers(pointer, pointers);
+    return suggestions.length > 0
+      ? `${pointer} (did you mean ${suggestions.join(' or ')}?)`
+      : pointer;
+  });
+  if (unknown.length > 0) {
+    throw new Error(`Reveal pointers not found in the credential: ${unknown.join(', ')}; use list-pointers to see the pointers that can be revealed`);
+  }
+}
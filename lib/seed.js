@@ -0,0 +1,67 @@
+import { createHmac, webcrypto } from 'node:crypto';
+
+// Seeded output is reproducible by design, so it is only suitable for test fixtures
+
+/**
+ * Derive bytes from a seed for a purpose, such as a key or an identifier; the same
+ * seed and label always give the same bytes, and different labels unrelated bytes
+ * @param {string} seed - Seed to derive from
+ * @param {string} label - What the bytes are for, e.g. a key ID
+ * @param {number} [length=32] - Number of bytes to derive
+ * @returns {Uint8Array} The derived bytes
+ */
+export function deriveSeedBytes(seed, label, length = 32) {
+  const blocks = [];
+  for (let counter = 0; blocks.length * 32 < length; counter++) {
+    blocks.push(createHmac('sha256', seed).update(`${label}\0${counter}`).digest());
+  }
+  return new Uint8Array(Buffer.concat(blocks).subarray(0, length));
+}
+
+/**
+ * Derive a version 4 UUID from a seed
+ * @param {string} seed - Seed to derive from
+ * @param {string} label - What the UUID identifies
+ * @returns {string} The UUID
+ */
+export function deriveSeedUuid(seed, label) {
+  const bytes = deriveSeedBytes(seed, `uuid:${label}`, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Buffer.from(bytes).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Run a function with `crypto.getRandomValues` drawing from a stream derived from a seed, making
+ * the randomness of bbs-2023 HMAC keys and BBS proofs reproducible. The cryptosuites draw it
+ * internally and cannot be given it, so it is replaced for as long as the function runs and
+ * restored however it ends. ECDSA signatures are made by OpenSSL with its own randomness, so
+ * they remain random.
+ * @param {string} [seed] - Seed to derive the random stream from (optional; without one, the function runs with the original randomness)
+ * @param {string} label - What the randomness is for, e.g. a file name; each label draws a stream of its own
+ * @param {function(): Promise<*>} fn - Function to run
+ * @returns {Promise<*>} The result of the function
+ */
+export async function withSeededRandomness(seed, label, fn) {
+  if (seed === undefined) {
+    return fn();
+  }
+  const original = Object.getOwnPropertyDescriptor(webcrypto, 'getRandomValues');
+  let counter = 0;
+  webcrypto.getRandomValues = (array) => {
+    const bytes = deriveSeedBytes(seed, `random:${label}:${counter++}`, array.byteLength);
+    new Uint8Array(array.buffer, array.byteOffset, array.byteLength).set(bytes);
+    return array;
+  };
+  try {
+    return await fn();
+  } finally {
+    // The original is usually inherited from the Crypto prototype rather than set on the object
+    if (original) {
+      Object.defineProperty(webcrypto, 'getRandomValues', original);
+    } else {
+      delete webcrypto.getRandomValues;
+    }
+  }
+}
@@ -0,0 +1,72 @@
+import { write } from '@jeswr/pretty-turtle';
+import jsonld from 'jsonld';
+import { Parser, Store } from 'n3';
+import SHACLValidator from 'rdf-validate-shacl';
+
+const SH = 'http://www.w3.org/ns/shacl#';
+
+// The IRI, `_:` prefixed blank node label or literal value of a term
+const termString = (term) => {
+  if (!term) {
+    return null;
+  }
+  return term.termType === 'BlankNode' ? `_:${term.value}` : term.value;
+};
+
+/**
+ * Parse SHACL shapes written in Turtle
+ * @param {string} turtle - Shapes graph in Turtle
+ * @returns {{quads: Object[], prefixes: Object<string, string>}} The shapes and the prefixes they declare
+ */
+export function parseShapes(turtle) {
+  const prefixes = {};
+  const quads = new Parser().parse(turtle, null, (prefix, iri) => {
+    prefixes[prefix] = typeof iri === 'string' ? iri : iri.value;
+  });
+  if (!quads.some(quad => quad.predicate.value.startsWith(SH) || quad.object.value.startsWith(SH))) {
+    throw new Error('Shapes graph has no SHACL shapes');
+  }
+  return { quads, prefixes };
+}
+
+/**
+ * Load credentials into a single RDF graph, excluding their proofs as `collect` does. Each credential
+ * is parsed with its own blank node prefix, so blank nodes of different credentials are never merged
+ * @param {Object[]} credentials - JSON-LD credentials
+ * @param {function(string): Promise<Object>} documentLoader - Loader for the credentials' contexts
+ * @returns {Promise<Store>} The default graph of every credential
+ */
+export async function loadCredentialGraph(credentials, documentLoader) {
+  const store = new Store();
+  for (const { proof, ...credential } of credentials) {
+    const nquads = await jsonld.toRDF(credential, { format: 'application/n-quads', documentLoader, safe: true });
+    store.addQuads(new Parser({ format: 'N-Quads' }).parse(nquads).filter(quad => quad.graph.termType === 'DefaultGraph'));
+  }
+  return store;
+}
+
+/**
+ * Validate a data graph against SHACL shapes
+ * @param {Store} data - Data graph
+ * @param {string} shapes - Shapes graph in Turtle
+ * @returns {Promise<{conforms: boolean, results: Object[], turtle: string}>} Whether the data conforms, the
+ * `focusNode`, `path`, `value`, `severity`, `message`, `sourceShape` and `sourceConstraintComponent` of each
+ * validation result, and the validation report in Turtle
+ */
+export async function validateShapes(data, shapes) {
+  const { quads, prefixes } = parseShapes(shapes);
+  const report = await new SHACLValidator(quads).validate(data);
+  const results = report.results.map(result => ({
+    focusNode: termString(result.focusNode),
+    path: termString(result.path),
+    value: termString(result.value),
+    severity: termString(result.severity),
+    message: result.message.map(message => message.value).join('; '),
+    sourceShape: termString(result.sourceShape),
+    sourceConstraintComponent: termString(result.sourceConstraintComponent)
+  }));
+  const turtle = await write([...report.dataset], {
+    prefixes: { ...prefixes, sh: SH, xsd: 'http://www.w3.org/2001/XMLSchema#' }
+  });
+  return { conforms: report.conforms, results, turtle };
+}
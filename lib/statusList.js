@@ -0,0 +1,109 @@
+import { randomInt } from 'node:crypto';
+import { gunzipSync, gzipSync } from 'node:zlib';
+
+// The spec requires lists of at least 16KB so that holders are hidden in a large herd
+export const DEFAULT_STATUS_LIST_LENGTH = 131072;
+
+export const STATUS_PURPOSES = ['revocation', 'suspension'];
+
+// Status lists are fetched from wherever credentials point, so a list that inflates beyond
+// this many bytes is refused rather than decompressed into memory
+export const MAX_STATUS_LIST_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Create an encoded bitstring with every bit unset
+ * @param {number} [length=DEFAULT_STATUS_LIST_LENGTH] - Number of entries in the list
+ * @returns {string} The multibase (base64url) encoded, GZIP-compressed bitstring
+ */
+export function createEncodedList(length = DEFAULT_STATUS_LIST_LENGTH) {
+  if (!Number.isInteger(length) || length <= 0 || length % 8 !== 0) {
+    throw new Error(`Status list length must be a positive multiple of 8, got ${length}`);
+  }
+  if (length > MAX_STATUS_LIST_BYTES * 8) {
+    throw new Error(`Status list length must be at most ${MAX_STATUS_LIST_BYTES * 8}, got ${length}`);
+  }
+  return encodeList(new Uint8Array(length / 8));
+}
+
+function encodeList(bytes) {
+  return `u${gzipSync(bytes).toString('base64url')}`;
+}
+
+function decodeList(encodedList) {
+  if (typeof encodedList !== 'string' || encodedList[0] !== 'u') {
+    throw new Error('Status list "encodedList" must be a base64url multibase string');
+  }
+  try {
+    return new Uint8Array(gunzipSync(Buffer.from(encodedList.slice(1), 'base64url'), { maxOutputLength: MAX_STATUS_LIST_BYTES }));
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error(`Status list "encodedList" decompresses to more than ${MAX_STATUS_LIST_BYTES} bytes`);
+    }
+    throw new Error(`Status list "encodedList" is not GZIP-compressed: ${error.message}`);
+  }
+}
+
+function assertIndex(bytes, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= bytes.length * 8) {
+    throw new Error(`Status list index ${index} is out of range [0, ${bytes.length * 8})`);
+  }
+}
+
+/**
+ * Get the number of entries in an encoded bitstring
+ * @param {string} encodedList - Encoded bitstring
+ * @returns {number} The number of entries
+ */
+export function getListLength(encodedList) {
+  return decodeList(encodedList).length * 8;
+}
+
+/**
+ * Read a bit of an encoded bitstring; index 0 is the left-most bit
+ * @param {string} encodedList - Encoded bitstring
+ * @param {number} index - Index of the bit
+ * @returns {boolean} Whether the bit is set
+ */
+export function getStatus(encodedList, index) {
+  const bytes = decodeList(encodedList);
+  assertIndex(bytes, index);
+  return (bytes[Math.floor(index / 8)] & (0b10000000 >> (index % 8))) !== 0;
+}
+
+/**
+ * Set or clear a bit of an encoded bitstring; index 0 is the left-most bit
+ * @param {string} encodedList - Encoded bitstring
+ * @param {number} index - Index of the bit
+ * @param {boolean} value - Whether the bit should be set
+ * @returns {string} The updated encoded bitstring
+ */
+export function setStatus(encodedList, index, value) {
+  const bytes = decodeList(encodedList);
+  assertIndex(bytes, index);
+  const mask = 0b10000000 >> (index % 8);
+  if (value) {
+    bytes[Math.floor(index / 8)] |= mask;
+  } else {
+    bytes[Math.floor(index / 8)] &= ~mask;
+  }
+  return encodeList(bytes);
+}
+
+/**
+ * Pick a random index that has not been allocated yet; random allocation
+ * prevents correlating holders by the order in which they were issued credentials
+ * @param {number} length - Number of entries in the list
+ * @param {number[]} [allocated=[]] - Indexes that are already allocated
+ * @returns {number} The allocated index
+ */
+export function allocateIndex(length, allocated = []) {
+  const taken = new Set(allocated);
+  if (taken.size >= length) {
+    throw new Error('Status list is full');
+  }
+  let index;
+  do {
+    index = randomInt(length);
+  } while (taken.has(index));
+  return index;
+}
@@ -0,0 +1,278 @@
+/**
+ * Error codes reported by `verifyCredential` and `verifyPresentation`
+ */
+export const VerificationErrorCode = Object.freeze({
+  MALFORMED_CREDENTIAL: 'MALFORMED_CREDENTIAL',
+  PROOF_MISSING: 'PROOF_MISSING',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  PROOF_PURPOSE_MISMATCH: 'PROOF_PURPOSE_MISMATCH',
+  UNSUPPORTED_CRYPTOSUITE: 'UNSUPPORTED_CRYPTOSUITE',
+  CONTEXT_ERROR: 'CONTEXT_ERROR',
+  VERIFICATION_METHOD_NOT_FOUND: 'VERIFICATION_METHOD_NOT_FOUND',
+  VERIFICATION_METHOD_NOT_AUTHORIZED: 'VERIFICATION_METHOD_NOT_AUTHORIZED',
+  VERIFICATION_METHOD_REVOKED: 'VERIFICATION_METHOD_REVOKED',
+  VERIFICATION_METHOD_EXPIRED: 'VERIFICATION_METHOD_EXPIRED',
+  CREDENTIAL_NOT_YET_VALID: 'CREDENTIAL_NOT_YET_VALID',
+  CREDENTIAL_EXPIRED: 'CREDENTIAL_EXPIRED',
+  STATUS_CHECK_FAILED: 'STATUS_CHECK_FAILED',
+  SCHEMA_VALIDATION_FAILED: 'SCHEMA_VALIDATION_FAILED',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+});
+
+const C = VerificationErrorCode;
+
+/**
+ * CLI exit codes, one per failure class
+ */
+export const VerificationExitCode = Object.freeze({
+  SUCCESS: 0,
+  ERROR: 1,
+  SIGNATURE: 2,
+  CONTEXT: 3,
+  VERIFICATION_METHOD: 4,
+  VALIDITY_PERIOD: 5,
+  STATUS: 6,
+  SCHEMA: 7
+});
+
+const EXIT_CODE_BY_ERROR_CODE = {
+  [C.MALFORMED_CREDENTIAL]: VerificationExitCode.ERROR,
+  [C.PROOF_MISSING]: VerificationExitCode.SIGNATURE,
+  [C.INVALID_SIGNATURE]: VerificationExitCode.SIGNATURE,
+  [C.PROOF_PURPOSE_MISMATCH]: VerificationExitCode.SIGNATURE,
+  [C.UNSUPPORTED_CRYPTOSUITE]: VerificationExitCode.SIGNATURE,
+  [C.CONTEXT_ERROR]: VerificationExitCode.CONTEXT,
+  [C.VERIFICATION_METHOD_NOT_FOUND]: VerificationExitCode.VERIFICATION_METHOD,
+  [C.VERIFICATION_METHOD_NOT_AUTHORIZED]: VerificationExitCode.VERIFICATION_METHOD,
+  [C.VERIFICATION_METHOD_REVOKED]: VerificationExitCode.VERIFICATION_METHOD,
+  [C.VERIFICATION_METHOD_EXPIRED]: VerificationExitCode.VERIFICATION_METHOD,
+  [C.CREDENTIAL_NOT_YET_VALID]: VerificationExitCode.VALIDITY_PERIOD,
+  [C.CREDENTIAL_EXPIRED]: VerificationExitCode.VALIDITY_PERIOD,
+  [C.STATUS_CHECK_FAILED]: VerificationExitCode.STATUS,
+  [C.SCHEMA_VALIDATION_FAILED]: VerificationExitCode.SCHEMA,
+  [C.UNKNOWN_ERROR]: VerificationExitCode.ERROR
+};
+
+/**
+ * Create a report entry for an error
+ * @param {string} code - One of `VerificationErrorCode`
+ * @param {Error|string} error - The error or error message
+ * @returns {{code: string, message: string}} The report entry
+ */
+export function reportError(code, error) {
+  return {
+    code,
+    message: typeof error === 'string' ? error : error.message
+  };
+}
+
+// jsonld-signatures wraps all proof errors in a single VerificationError
+const unwrapProofError = (error) => (
+  error?.name === 'VerificationError' && Array.isArray(error.errors) && error.errors.length > 0
+    ? unwrapProofError(error.errors[0])
+    : error
+);
+
+/**
+ * Record on an error the code of the check that raised it, for `classifyProofError` to report.
+ * An error that already has a code keeps it, as the check nearest to the failure knows best what failed
+ * @param {Error} error - Error raised by a check
+ * @param {string} code - One of `VerificationErrorCode`
+ * @returns {Error} The error
+ */
+export function withErrorCode(error, code) {
+  if (error && !error.verificationErrorCode) {
+    error.verificationErrorCode = code;
+  }
+  return error;
+}
+
+/**
+ * Classify an error raised while checking a proof, by the code the failing check recorded on it
+ * @param {Error} error - Error from jsonld-signatures or jsonld
+ * @returns {string} One of `VerificationErrorCode`
+ */
+export function classifyProofError(error) {
+  error = unwrapProofError(error);
+
+  if (error?.verificationErrorCode) {
+    return error.verificationErrorCode;
+  }
+  // jsonld raises its own errors while expanding a document, all of which are down to its contexts
+  if (error?.name?.startsWith('jsonld.')) {
+    return C.CONTEXT_ERROR;
+  }
+  // jsonld-signatures raises a NotFoundError when no proof matches the suite and purpose
+  if (error?.name === 'NotFoundError') {
+    return C.PROOF_MISSING;
+  }
+  return C.UNKNOWN_ERROR;
+}
+
+/**
+ * Create a report entry for an error raised while checking a proof
+ * @param {Error} error - Error from jsonld-signatures or jsonld
+ * @returns {{code: string, message: string}} The report entry
+ */
+export function reportProofError(error) {
+  const unwrapped = unwrapProofError(error);
+  // jsonld reports documents the document loader failed to load generically; the loader's
+  // own error says why, e.g. that the document is unavailable offline or fails its pinned hash
+  const cause = unwrapped?.name?.startsWith('jsonld.') && unwrapped.details?.cause;
+  return reportError(classifyProofError(error), cause || unwrapped);
+}
+
+const CREDENTIALS_V1_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+const CREDENTIALS_V2_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+
+// XML Schema dateTimeStamp, which every date of a credential must be
+const DATE_TIME_STAMP = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)$/i;
+
+const isUrl = (value) => typeof value === 'string' && /^[a-z][a-z\d+.-]*:\S+$/i.test(value);
+
+// Describe the first way in which a credential breaks the data model, if any
+function findCredentialShapeProblem(credential) {
+  const [baseContext] = [].concat(credential['@context'] ?? []);
+  if (baseContext !== CREDENTIALS_V1_CONTEXT && baseContext !== CREDENTIALS_V2_CONTEXT) {
+    return `The first @context must be ${CREDENTIALS_V2_CONTEXT} or ${CREDENTIALS_V1_CONTEXT}`;
+  }
+  if (![].concat(credential.type ?? []).includes('VerifiableCredential')) {
+    return '"type" must include VerifiableCredential';
+  }
+  const subjects = [].concat(credential.credentialSubject ?? []);
+  if (subjects.length === 0 || subjects.some(subject => subject === null || typeof subject !== 'object' || Array.isArray(subject))) {
+    return '"credentialSubject" must be an object or an array of objects';
+  }
+  if (Array.isArray(credential.issuer)) {
+    return '"issuer" can only have one value';
+  }
+  if (!isUrl(typeof credential.issuer === 'string' ? credential.issuer : credential.issuer?.id)) {
+    return '"issuer" must be a URL, or an object with a URL id';
+  }
+  if (baseContext === CREDENTIALS_V1_CONTEXT && credential.issuanceDate === undefined) {
+    return '"issuanceDate" is required in VC Data Model 1.1 credentials';
+  }
+  for (const name of ['issuanceDate', 'expirationDate', 'validFrom', 'validUntil']) {
+    if (name in credential && !DATE_TIME_STAMP.test(credential[name])) {
+      return `"${name}" must be an XML Schema dateTimeStamp, got ${JSON.stringify(credential[name])}`;
+    }
+  }
+  for (const status of [].concat(credential.credentialStatus ?? [])) {
+    if (!status?.type) {
+      return '"credentialStatus" entries must have a type';
+    }
+    if ('id' in status && !isUrl(status.id)) {
+      return `"credentialStatus" id must be a URL, got ${JSON.stringify(status.id)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a credential has the shape the data model requires: the base context first, the
+ * `VerifiableCredential` type, a subject, an issuer URL, well-formed dates and typed status entries
+ * @param {Object} credential - Credential to check
+ * @returns {{code: string, message: string}|null} The report entry, or null if the credential is well formed
+ */
+export function checkCredentialShape(credential) {
+  const problem = findCredentialShapeProblem(credential);
+  return problem ? reportError(C.MALFORMED_CREDENTIAL, `Credential is malformed: ${problem}`) : null;
+}
+
+/**
+ * Check the validity period of a credential
+ * @param {Object} credential - Credential to check
+ * @param {Date} [now=new Date()] - Moment to check the validity period at
+ * @param {number} [clockSkew=0] - Milliseconds by which the period is widened at both ends, to tolerate clocks that disagree
+ * @returns {{valid: boolean, checkedAt: string, clockSkew: number, validFrom: string|null, validUntil: string|null, error: Object|null}} The validity period result
+ */
+export function checkValidityPeriod(credential, now = new Date(), clockSkew = 0) {
+  // VC Data Model 1.1 credentials use issuanceDate/expirationDate instead
+  const validFrom = credential.validFrom ?? credential.issuanceDate ?? null;
+  const validUntil = credential.validUntil ?? credential.expirationDate ?? null;
+
+  const result = {
+    valid: true,
+    checkedAt: now.toISOString(),
+    clockSkew,
+    validFrom,
+    validUntil,
+    error: null
+  };
+
+  if (validFrom && now.getTime() + clockSkew < new Date(validFrom).getTime()) {
+    result.valid = false;
+    result.error = reportError(C.CREDENTIAL_NOT_YET_VALID, `Credential is not valid before ${validFrom}`);
+  } else if (validUntil && now.getTime() - clockSkew > new Date(validUntil).getTime()) {
+    result.valid = false;
+    result.error = reportError(C.CREDENTIAL_EXPIRED, `Credential expired at ${validUntil}`);
+  }
+
+  return result;
+}
+
+/**
+ * Check the lifecycle of a verification method: no proof created after the method expired verifies,
+ * and no proof by a revoked method at all, as whoever holds a revoked key can backdate its proofs
+ * @param {Object} verificationMethod - Verification method that created the proof
+ * @param {string|Date} [created] - When the proof was created (defaults to now, for proofs without a creation time)
+ * @returns {{code: string, message: string}|null} The report entry, or null if the method could create the proof
+ */
+export function checkVerificationMethodLifecycle(verificationMethod, created) {
+  if (verificationMethod.revoked !== undefined) {
+    return reportError(C.VERIFICATION_METHOD_REVOKED, `Verification method ${verificationMethod.id} was revoked at ${verificationMethod.revoked}`);
+  }
+  if (verificationMethod.expires !== undefined) {
+    const createdAt = created ? new Date(created) : new Date();
+    if (createdAt > new Date(verificationMethod.expires)) {
+      return reportError(C.VERIFICATION_METHOD_EXPIRED, `Verification method ${verificationMethod.id} expired at ${verificationMethod.expires}, before the proof was created at ${createdAt.toISOString()}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a controller authorizes a verification method for a verification relationship,
+ * such as `assertionMethod` for credentials or `authentication` for presentations
+ * @param {Object} cid - CID document of the controller
+ * @param {Object} verificationMethod - Verification method that created the proof
+ * @param {string} relationship - Verification relationship the proof requires
+ * @returns {{code: string, message: string}|null} The report entry, or null if the method is authorized
+ */
+export function checkVerificationRelationship(cid, verificationMethod, relationship) {
+  const authorized = [].concat(cid[relationship] ?? []).map(method => (typeof method === 'string' ? method : method.id));
+  if (!authorized.includes(verificationMethod.id)) {
+    return reportError(C.VERIFICATION_METHOD_NOT_AUTHORIZED, `Verification method ${verificationMethod.id} is not authorized by controller ${cid.id} for ${relationship}`);
+  }
+  return null;
+}
+
+/**
+ * Get the CLI exit code for a verification report
+ * @param {Object} report - Report from `verifyCredential` or `verifyPresentation`
+ * @returns {number} One of `VerificationExitCode`
+ */
+export function exitCodeForReport(report) {
+  if (report.verified) {
+    return VerificationExitCode.SUCCESS;
+  }
+  const [firstError] = report.errors;
+  return EXIT_CODE_BY_ERROR_CODE[firstError?.code] ?? VerificationExitCode.ERROR;
+}
+
+/**
+ * Summarise the per-proof results of `jsigs.verify`
+ * @param {Object} result - Result from `jsigs.verify`
+ * @returns {Object[]} One entry per checked proof
+ */
+export function summarizeProofResults(result) {
+  return (result.results || []).map(({ proof, verified, error }) => ({
+    type: proof.type,
+    cryptosuite: proof.cryptosuite ?? null,
+    verificationMethod: proof.verificationMethod,
+    proofPurpose: proof.proofPurpose,
+    created: proof.created ?? null,
+    verified,
+    error: error ? reportProofError(error) : null
+  }));
+}
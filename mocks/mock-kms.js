@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// A stand-in for a KMS in tests, implementing the `--signer-command` protocol: signs
+// the bytes on stdin with the key named by VC_SIGNER_KEY_ID and writes the signature to stdout.
+// Usage: node mock-kms.js <cid-path> <private-keys-path>
+import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import { decode } from 'cborg';
+import fs from 'node:fs/promises';
+import { getKeyType } from '../cid.js';
+
+const [cidPath, keysPath] = process.argv.slice(2);
+const keyId = process.env.VC_SIGNER_KEY_ID;
+
+const cid = JSON.parse(await fs.readFile(cidPath, 'utf8'));
+const privateKeys = JSON.parse(await fs.readFile(keysPath, 'utf8'));
+const verificationMethod = cid.verificationMethod.find(vm => vm.id === keyId);
+if (!verificationMethod || !privateKeys[keyId]) {
+  console.error(`mock-kms: unknown key ${keyId}`);
+  process.exit(1);
+}
+
+const chunks = [];
+for await (const chunk of process.stdin) {
+  chunks.push(chunk);
+}
+const data = new Uint8Array(Buffer.concat(chunks));
+
+const key = { ...verificationMethod, secretKeyMultibase: privateKeys[keyId] };
+let signature;
+switch (getKeyType(verificationMethod)) {
+  case 'bbs': {
+    // BBS signers are given the CBOR encoded [header, messages]
+    const [header, messages] = decode(data);
+    const keyPair = await Bls12381Multikey.from(key, { algorithm: Bls12381Multikey.ALGORITHMS.BBS_BLS12381_SHA256 });
+    signature = await keyPair.signer().multisign({ header, messages });
+    break;
+  }
+  case 'ed25519':
+    signature = await (await Ed25519Multikey.from(key)).signer().sign({ data });
+    break;
+  default:
+    signature = await (await EcdsaMultikey.from(key)).signer().sign({ data });
+}
+
+process.stdout.write(signature);
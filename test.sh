@@ -17,23 +17,473 @@ if ! npm run validate-jsonld ./mocks/employable.jsonld; then
   exit 1
 fi
 
-node bin.js generate-cid -c 'http://example.org/alice' -o ./alice.jsonld -k privatekeys.jsonld
+node bin.js generate-cid -c 'http://example.org/alice' -o ./alice.jsonld -k privatekeys.jsonld --ecdsa-p256
 node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./signed-residence.jsonld -i 'http://example.org/alice#key-1'
 node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./bbs-signed-residence.jsonld -i 'http://example.org/alice#key-2'
 
 # Derive a BBS proof revealing only specific fields
 node ./bin.js derive-proof -d ./bbs-signed-residence.jsonld -r '/credentialSubject/givenName,/credentialSubject/familyName,/credentialSubject/birthCountry' -o ./derived-residence.jsonld
 
+# List the pointers that can be revealed; the validity period and issuer are mandatory, and mistyped pointers are rejected
+node ./bin.js list-pointers -d ./bbs-signed-residence.jsonld | grep -qx '/issuer (mandatory)'
+node ./bin.js list-pointers -d ./bbs-signed-residence.jsonld | grep -qx '/credentialSubject/givenName'
+if node ./bin.js derive-proof -d ./bbs-signed-residence.jsonld -r '/credentialSubject/givenNme' -o ./mistyped-derived-residence.jsonld 2> ./mistyped-derive.log; then
+  echo "Derivation with a mistyped reveal pointer should fail"
+  exit 1
+fi
+grep -q 'did you mean /credentialSubject/givenName' ./mistyped-derive.log
+
+# Derive with a reveal spec and with a JSON-LD frame instead of pointers
+node ./bin.js derive-proof -d ./bbs-signed-residence.jsonld --reveal-spec 'credentialSubject.givenName, credentialSubject.permanentResidentCard.*' -o ./spec-derived-residence.jsonld
+grep -q '"lprNumber"' ./spec-derived-residence.jsonld
+if grep -q '"familyName"' ./spec-derived-residence.jsonld; then
+  echo "Reveal spec should not reveal unselected claims"
+  exit 1
+fi
+echo '{"@context": ["https://www.w3.org/ns/credentials/v2", "https://w3id.org/citizenship/v4rc1"], "credentialSubject": {"@explicit": true, "familyName": {}}}' > ./reveal-frame.json
+node ./bin.js derive-proof -d ./bbs-signed-residence.jsonld --frame ./reveal-frame.json -o ./frame-derived-residence.jsonld
+grep -q '"familyName"' ./frame-derived-residence.jsonld
+if grep -q '"givenName"' ./frame-derived-residence.jsonld; then
+  echo "Frame should not reveal unselected claims"
+  exit 1
+fi
+node bin.js verify-credential -c ./alice.jsonld -d ./spec-derived-residence.jsonld
+node bin.js verify-credential -c ./alice.jsonld -d ./frame-derived-residence.jsonld
+
+# The default policy makes the type of a permanent resident card mandatory; issuers can add
+# mandatory pointers or replace the policy
+node ./bin.js list-pointers -d ./bbs-signed-residence.jsonld | grep -qx '/type (mandatory)'
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./mandatory-signed-residence.jsonld -i 'http://example.org/alice#key-2' --mandatory /credentialSubject/birthCountry
+node ./bin.js list-pointers -d ./mandatory-signed-residence.jsonld | grep -qx '/credentialSubject/birthCountry (mandatory)'
+node ./bin.js derive-proof -d ./mandatory-signed-residence.jsonld -r /credentialSubject/givenName -o ./mandatory-derived-residence.jsonld
+grep -q '"birthCountry"' ./mandatory-derived-residence.jsonld
+node bin.js verify-credential -c ./alice.jsonld -d ./mandatory-derived-residence.jsonld
+echo '{"PermanentResidentCardCredential": ["/credentialSubject/familyName"]}' > ./mandatory-policy.json
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./policy-signed-residence.jsonld -i 'http://example.org/alice#key-2' --mandatory-policy ./mandatory-policy.json
+node ./bin.js list-pointers -d ./policy-signed-residence.jsonld | grep -qx '/credentialSubject/familyName (mandatory)'
+if node ./bin.js list-pointers -d ./policy-signed-residence.jsonld | grep -qx '/type (mandatory)'; then
+  echo "A mandatory policy should replace the default policy"
+  exit 1
+fi
+
 node bin.js verify-credential -c ./alice.jsonld -d ./signed-residence.jsonld
-node bin.js verify-credential -c ./alice.jsonld -d ./derived-residence.jsonld
+
+# A credential whose claims were changed after signing fails with exit code 2
+node -e "const fs = require('fs'); const credential = JSON.parse(fs.readFileSync('./signed-residence.jsonld', 'utf8')); credential.credentialSubject.givenName = 'Mallory'; fs.writeFileSync('./tampered-residence.jsonld', JSON.stringify(credential));"
+status=0
+node bin.js verify-credential -c ./alice.jsonld -d ./tampered-residence.jsonld || status=$?
+if [ "$status" -ne 2 ]; then
+  echo "Tampered credential should fail verification with exit code 2, got $status"
+  exit 1
+fi
+# A credential that breaks the data model fails with exit code 1 before its proof is considered
+node -e "const fs = require('fs'); const credential = JSON.parse(fs.readFileSync('./signed-residence.jsonld', 'utf8')); credential.validFrom = 'yesterday'; fs.writeFileSync('./malformed-residence.jsonld', JSON.stringify(credential));"
+status=0
+node bin.js verify-credential -c ./alice.jsonld -d ./malformed-residence.jsonld 2> ./malformed-residence.log || status=$?
+if [ "$status" -ne 1 ]; then
+  echo "Malformed credential should fail verification with exit code 1, got $status"
+  exit 1
+fi
+grep -q 'MALFORMED_CREDENTIAL' ./malformed-residence.log
+
+# Sign and verify with the Data Integrity EdDSA cryptosuites
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./rdfc-signed-residence.jsonld -i 'http://example.org/alice#key-1' --cryptosuite eddsa-rdfc-2022
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./jcs-signed-residence.jsonld -i 'http://example.org/alice#key-1' --cryptosuite eddsa-jcs-2022
+node bin.js verify-credential -c ./alice.jsonld -d ./rdfc-signed-residence.jsonld
+node bin.js verify-credential -c ./alice.jsonld -d ./jcs-signed-residence.jsonld
+node bin.js ed25519-verify-preprocess -c ./alice.jsonld -d ./jcs-signed-residence.jsonld -o ./jcs-preprocessed.json
+node bin.js verify-credential -c ./alice.jsonld -d ./derived-residence.jsonld --format json
+
+# Verify as of a moment: a derived credential fails outside its validity period, with exit code 5,
+# unless the moment is within the tolerated clock skew
+node bin.js verify-credential -c ./alice.jsonld -d ./derived-residence.jsonld --at 2030-01-01T00:00:00Z
+status=0
+node bin.js verify-credential -c ./alice.jsonld -d ./derived-residence.jsonld --at 2031-01-01T00:00:00Z || status=$?
+if [ "$status" -ne 5 ]; then
+  echo "Expired credential should fail verification with exit code 5, got $status"
+  exit 1
+fi
+if node bin.js verify-credential -c ./alice.jsonld -d ./derived-residence.jsonld --at 2024-12-15T23:59:30Z; then
+  echo "Credential should not verify before its validity period"
+  exit 1
+fi
+node bin.js verify-credential -c ./alice.jsonld -d ./derived-residence.jsonld --at 2024-12-15T23:59:30Z --clock-skew 60
+
+# Bind a derived BBS proof to a verifier session and check that it cannot be replayed
+node ./bin.js derive-proof -d ./bbs-signed-residence.jsonld -r '/credentialSubject/givenName' --nonce 'session-1' -o ./bound-derived-residence.jsonld
+node bin.js verify-credential -c ./alice.jsonld -d ./bound-derived-residence.jsonld --nonce 'session-1'
+node bin.js bbs-verify-preprocess -c ./alice.jsonld -d ./bound-derived-residence.jsonld --nonce 'session-1' -o ./bound-preprocessed.json
+if node bin.js verify-credential -c ./alice.jsonld -d ./bound-derived-residence.jsonld --nonce 'session-2'; then
+  echo "Derived proof should not verify with a different nonce"
+  exit 1
+fi
+
+# Sign and verify with the ECDSA cryptosuites, deriving a selective disclosure proof for ecdsa-sd-2023
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./ecdsa-signed-residence.jsonld -i 'http://example.org/alice#key-3'
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./ecdsa-sd-signed-residence.jsonld -i 'http://example.org/alice#key-3' --cryptosuite ecdsa-sd-2023
+node ./bin.js derive-proof -d ./ecdsa-sd-signed-residence.jsonld -r '/credentialSubject/givenName,/credentialSubject/familyName' -o ./ecdsa-sd-derived-residence.jsonld
+node bin.js verify-credential -c ./alice.jsonld -d ./ecdsa-signed-residence.jsonld
+node bin.js verify-credential -c ./alice.jsonld -d ./ecdsa-sd-derived-residence.jsonld
+
+# Sign and verify VC-JOSE-COSE enveloped credentials, selecting SD-JWT disclosures
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./residence.jwt -i 'http://example.org/alice#key-1' --envelope jwt
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./residence.sd-jwt -i 'http://example.org/alice#key-3' --envelope sd-jwt
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./residence.cose -i 'http://example.org/alice#key-3' --envelope cose
+node ./bin.js derive-proof -d ./residence.sd-jwt -r '/credentialSubject/givenName,/credentialSubject/familyName' -o ./disclosed-residence.sd-jwt
+node bin.js verify-credential -c ./alice.jsonld -d ./residence.jwt
+node bin.js verify-credential -c ./alice.jsonld -d ./residence.cose
+if node bin.js verify-credential -c ./alice.jsonld -d ./residence.jwt --at 2031-01-01T00:00:00Z; then
+  echo "Expired enveloped credential should not verify"
+  exit 1
+fi
+node bin.js verify-credential -c ./alice.jsonld -d ./disclosed-residence.sd-jwt --format json
+
+# Enveloped credentials must declare their typ, and SD-JWT disclosures must not replace other claims
+node -e "const fs = require('fs'); const [header, ...rest] = fs.readFileSync('./residence.jwt', 'utf8').trim().split('.'); const untyped = { ...JSON.parse(Buffer.from(header, 'base64url')), typ: 'JWT' }; fs.writeFileSync('./untyped-residence.jwt', [Buffer.from(JSON.stringify(untyped)).toString('base64url'), ...rest].join('.'));"
+if node bin.js verify-credential -c ./alice.jsonld -d ./untyped-residence.jwt 2> ./untyped-residence.log; then
+  echo "JWT without the vc+jwt typ should not verify"
+  exit 1
+fi
+grep -q 'expected vc+jwt' ./untyped-residence.log
+node -e "const fs = require('fs'); const [header, ...rest] = fs.readFileSync('./residence.jwt', 'utf8').trim().split('.'); const critical = { ...JSON.parse(Buffer.from(header, 'base64url')), crit: ['exp'] }; fs.writeFileSync('./critical-residence.jwt', [Buffer.from(JSON.stringify(critical)).toString('base64url'), ...rest].join('.'));"
+if node bin.js verify-credential -c ./alice.jsonld -d ./critical-residence.jwt 2> ./critical-residence.log; then
+  echo "JWT with critical header parameters should not verify"
+  exit 1
+fi
+grep -q 'unsupported critical JWS header parameters' ./critical-residence.log
+node --input-type=module -e "import fs from 'fs'; import { decode, encode } from 'cborg'; const [protectedHeader, unprotectedHeader, payload, signature] = decode(fs.readFileSync('./residence.cose'), { useMaps: true, tags: Object.assign([], { 18: (inner) => inner }) }); const header = decode(protectedHeader, { useMaps: true }); header.set(16, 'application/cose'); fs.writeFileSync('./untyped-residence.cose', new Uint8Array([0xd2, ...encode([encode(header), unprotectedHeader, payload, signature])]));"
+if node bin.js verify-credential -c ./alice.jsonld -d ./untyped-residence.cose 2> ./untyped-residence-cose.log; then
+  echo "COSE_Sign1 message without the application/vc+cose typ should not verify"
+  exit 1
+fi
+grep -q 'expected application/vc+cose' ./untyped-residence-cose.log
+node -e "const fs = require('fs'); const { createHash } = require('crypto'); const [jws, ...disclosures] = fs.readFileSync('./residence.sd-jwt', 'utf8').trim().split('~'); const [header, payload, signature] = jws.split('.'); const claims = JSON.parse(Buffer.from(payload, 'base64url')); const duplicate = Buffer.from(JSON.stringify(['salt', 'givenName', 'Mallory'])).toString('base64url'); claims.credentialSubject._sd.push(createHash('sha256').update(duplicate).digest('base64url')); fs.writeFileSync('./duplicate-disclosure-residence.sd-jwt', [[header, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.'), ...disclosures.filter(d => d !== ''), duplicate, ''].join('~'));"
+if node bin.js verify-credential -c ./alice.jsonld -d ./duplicate-disclosure-residence.sd-jwt 2> ./duplicate-disclosure.log; then
+  echo "SD-JWT disclosing a claim twice should not verify"
+  exit 1
+fi
+grep -q 'discloses givenName, which is already a claim' ./duplicate-disclosure.log
+
+# Verify credentials issued by a did:web without a CID document, resolving it from a local directory
+node bin.js generate-cid --method did:web -c 'did:web:example.org' -o ./did-web-root -k ./web-privatekeys.jsonld
+node ./bin.js sign-credential --cid ./did-web-root/.well-known/did.json -k ./web-privatekeys.jsonld -d ./mocks/residence.jsonld -o ./web-signed-residence.jsonld -i 'did:web:example.org#key-1'
+node ./bin.js sign-credential --cid ./did-web-root/.well-known/did.json -k ./web-privatekeys.jsonld -d ./mocks/residence.jsonld -o ./web-bbs-signed-residence.jsonld -i 'did:web:example.org#key-2'
+node ./bin.js derive-proof -d ./web-bbs-signed-residence.jsonld -r '/credentialSubject/givenName' -o ./web-derived-residence.jsonld
+node bin.js verify-credential -d ./web-signed-residence.jsonld --did-web-root ./did-web-root
+node bin.js verify-credential -d ./web-derived-residence.jsonld --did-web-root ./did-web-root
+node bin.js bbs-verify-preprocess -d ./web-derived-residence.jsonld --did-web-root ./did-web-root -o ./web-preprocessed.json
+
+# Issue and verify a credential from a did:key, which resolves without a CID document or network access
+node bin.js generate-cid --method did:key --no-bbs -o ./did-key.jsonld -k ./did-key-privatekeys.jsonld
+did_key_id=$(node -e "console.log(JSON.parse(require('fs').readFileSync('./did-key.jsonld', 'utf8')).verificationMethod[0].id)")
+node ./bin.js sign-credential --cid ./did-key.jsonld -k ./did-key-privatekeys.jsonld -d ./mocks/residence.jsonld -o ./did-key-signed-residence.jsonld -i "$did_key_id"
+node bin.js verify-credential -d ./did-key-signed-residence.jsonld
+
+# Encrypt the private keys and sign with the encrypted keystore
+cp ./privatekeys.jsonld ./encrypted-privatekeys.jsonld
+VC_KEYS_PASSPHRASE='test-passphrase' node ./bin.js keys migrate -k ./encrypted-privatekeys.jsonld --passphrase-env VC_KEYS_PASSPHRASE
+VC_KEYS_PASSPHRASE='test-passphrase' node ./bin.js sign-credential --cid ./alice.jsonld -k ./encrypted-privatekeys.jsonld --passphrase-env VC_KEYS_PASSPHRASE -d ./mocks/residence.jsonld -o ./keystore-signed-residence.jsonld -i 'http://example.org/alice#key-1'
+node bin.js verify-credential -c ./alice.jsonld -d ./keystore-signed-residence.jsonld
+if VC_KEYS_PASSPHRASE='wrong-passphrase' node ./bin.js sign-credential --cid ./alice.jsonld -k ./encrypted-privatekeys.jsonld --passphrase-env VC_KEYS_PASSPHRASE -d ./mocks/residence.jsonld -o ./keystore-signed-residence.jsonld -i 'http://example.org/alice#key-1'; then
+  echo "Encrypted keystore should not decrypt with a wrong passphrase"
+  exit 1
+fi
+
+# Sign through the external signer protocol, with a mock KMS holding the keys
+node ./bin.js sign-credential --cid ./alice.jsonld --signer-command 'node ./mocks/mock-kms.js ./alice.jsonld ./privatekeys.jsonld' -d ./mocks/residence.jsonld -o ./kms-signed-residence.jsonld -i 'http://example.org/alice#key-3'
+node ./bin.js sign-credential --cid ./alice.jsonld --signer-command 'node ./mocks/mock-kms.js ./alice.jsonld ./privatekeys.jsonld' -d ./mocks/residence.jsonld -o ./kms-bbs-signed-residence.jsonld -i 'http://example.org/alice#key-2'
+node ./bin.js derive-proof -d ./kms-bbs-signed-residence.jsonld -r '/credentialSubject/givenName' -o ./kms-derived-residence.jsonld
+node bin.js verify-credential -c ./alice.jsonld -d ./kms-signed-residence.jsonld
+node bin.js verify-credential -c ./alice.jsonld -d ./kms-derived-residence.jsonld
+
+# Rotate and revoke keys: proofs by a rotated key made before it expired still verify, proofs made after
+# it expired and proofs by a revoked key do not
+cp ./alice.jsonld ./lifecycle-alice.jsonld
+cp ./privatekeys.jsonld ./lifecycle-privatekeys.jsonld
+node bin.js cid add-key -c ./lifecycle-alice.jsonld -k ./lifecycle-privatekeys.jsonld --type ecdsa-p384
+if node bin.js cid rotate-key -c ./lifecycle-alice.jsonld -k ./lifecycle-privatekeys.jsonld -i 'http://example.org/alice#key-1'; then
+  echo "Rotation should require the date the old key expires"
+  exit 1
+fi
+node bin.js cid rotate-key -c ./lifecycle-alice.jsonld -k ./lifecycle-privatekeys.jsonld -i 'http://example.org/alice#key-1' --expires 2099-01-01T00:00:00Z
+node bin.js verify-credential -c ./lifecycle-alice.jsonld -d ./signed-residence.jsonld
+node ./bin.js sign-credential --cid ./lifecycle-alice.jsonld -k ./lifecycle-privatekeys.jsonld -d ./mocks/residence.jsonld -o ./expired-signed-residence.jsonld -i 'http://example.org/alice#key-1' --created 2099-06-01T00:00:00Z
+status=0
+node bin.js verify-credential -c ./lifecycle-alice.jsonld -d ./expired-signed-residence.jsonld || status=$?
+if [ "$status" -ne 4 ]; then
+  echo "Credential signed after its key expired should fail verification with exit code 4, got $status"
+  exit 1
+fi
+node ./bin.js sign-credential --cid ./lifecycle-alice.jsonld -k ./lifecycle-privatekeys.jsonld -d ./mocks/residence.jsonld -o ./rotated-signed-residence.jsonld -i 'http://example.org/alice#key-5'
+node bin.js verify-credential -c ./lifecycle-alice.jsonld -d ./rotated-signed-residence.jsonld
+node bin.js cid revoke-key -c ./lifecycle-alice.jsonld -k ./lifecycle-privatekeys.jsonld -i 'http://example.org/alice#key-3'
+status=0
+node bin.js verify-credential -c ./lifecycle-alice.jsonld -d ./ecdsa-signed-residence.jsonld || status=$?
+if [ "$status" -ne 4 ]; then
+  echo "Credential signed by a revoked key should fail verification with exit code 4, got $status"
+  exit 1
+fi
+
+# Keys are only accepted for the verification relationships they are authorized for
+node bin.js generate-cid -c 'http://example.org/bob' -o ./bob.jsonld -k ./bob-privatekeys.jsonld --no-bbs --ecdsa-p256 --assertion key-2 --authentication key-1
+node ./bin.js sign-credential --cid ./bob.jsonld -k ./bob-privatekeys.jsonld -d ./mocks/residence.jsonld -o ./bob-signed-residence.jsonld -i 'http://example.org/bob#key-2'
+node ./bin.js sign-credential --cid ./bob.jsonld -k ./bob-privatekeys.jsonld -d ./mocks/residence.jsonld -o ./bob-unauthorized-residence.jsonld -i 'http://example.org/bob#key-1'
+node bin.js verify-credential -c ./bob.jsonld -d ./bob-signed-residence.jsonld
+if node bin.js verify-credential -c ./bob.jsonld -d ./bob-unauthorized-residence.jsonld; then
+  echo "Credential signed by a key that is not an assertionMethod should not verify"
+  exit 1
+fi
+node ./bin.js create-presentation -c ./bob.jsonld -k ./bob-privatekeys.jsonld -d ./bob-unauthorized-residence.jsonld -i 'http://example.org/bob#key-2' --challenge 'test-challenge' -o ./bob-presentation.jsonld
+if node bin.js verify-presentation -c ./bob.jsonld -d ./bob-presentation.jsonld --challenge 'test-challenge'; then
+  echo "Presentation signed by a key that is not an authentication method should not verify"
+  exit 1
+fi
+
+# Import keys made by other tools as PEM and JWK, and export them again
+node -e "process.stdout.write(require('node:crypto').generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' }))" > ./imported-key.pem
+node bin.js keys import -c ./imported.jsonld --controller 'http://example.org/imported' --pem ./imported-key.pem -k ./imported-privatekeys.jsonld
+node bin.js keys export -c ./alice.jsonld -k ./privatekeys.jsonld -i 'http://example.org/alice#key-3' --format jwk -o ./exported-key.jwk
+node bin.js keys import -c ./imported.jsonld --jwk ./exported-key.jwk -k ./imported-privatekeys.jsonld --public-key-jwk --relationships assertionMethod
+node bin.js keys export -c ./imported.jsonld -i 'http://example.org/imported#key-1' --format pem
+node ./bin.js sign-credential --cid ./imported.jsonld -k ./imported-privatekeys.jsonld -d ./mocks/residence.jsonld -o ./imported-signed-residence.jsonld -i 'http://example.org/imported#key-1'
+node ./bin.js sign-credential --cid ./imported.jsonld -k ./imported-privatekeys.jsonld -d ./mocks/residence.jsonld -o ./imported-jwk-signed-residence.jsonld -i 'http://example.org/imported#key-2'
+node bin.js verify-credential -c ./imported.jsonld -d ./imported-signed-residence.jsonld
+node bin.js verify-credential -c ./imported.jsonld -d ./imported-jwk-signed-residence.jsonld
+
+# Seeded generation with pinned proof dates is reproducible byte for byte
+node bin.js generate -c did:example:alice -d ./mocks/residence.jsonld -o ./seeded-a --seed fixtures --created 2025-01-01T00:00:00Z
+node bin.js generate -c did:example:alice -d ./mocks/residence.jsonld -o ./seeded-b --seed fixtures --created 2025-01-01T00:00:00Z
+diff -r ./seeded-a ./seeded-b
+if node bin.js generate -c did:example:alice -d ./mocks/residence.jsonld -o ./seeded-ecdsa -s ecdsa --seed fixtures; then
+  echo "Seeded generation should refuse ECDSA signatures, which cannot be reproduced"
+  exit 1
+fi
+
+# Bundle the signed and derived credentials into a presentation signed by the holder
+node ./bin.js create-presentation -c ./alice.jsonld -k ./privatekeys.jsonld -d ./signed-residence.jsonld,./derived-residence.jsonld -i 'http://example.org/alice#key-1' --challenge 'test-challenge' --domain 'example.org' -o ./presentation.jsonld
+node bin.js verify-presentation -c ./alice.jsonld -d ./presentation.jsonld --challenge 'test-challenge' --domain 'example.org'
+status=0
+node bin.js verify-presentation -c ./alice.jsonld -d ./presentation.jsonld --challenge 'other-challenge' --domain 'example.org' || status=$?
+if [ "$status" -ne 2 ]; then
+  echo "Presentation made for another challenge should fail verification with exit code 2, got $status"
+  exit 1
+fi
+node ./bin.js create-presentation -c ./alice.jsonld --signer-command 'node ./mocks/mock-kms.js ./alice.jsonld ./privatekeys.jsonld' -d ./kms-signed-residence.jsonld -i 'http://example.org/alice#key-1' --challenge 'test-challenge' -o ./kms-presentation.jsonld
+node bin.js verify-presentation -c ./alice.jsonld -d ./kms-presentation.jsonld --challenge 'test-challenge'
+# A presentation whose holder is not the CID of the key that signed it must not verify
+node -e "const fs = require('fs'); const cid = JSON.parse(fs.readFileSync('./alice.jsonld', 'utf8')); cid.id = 'http://example.org/mallory'; fs.writeFileSync('./mallory.jsonld', JSON.stringify(cid));"
+node ./bin.js create-presentation -c ./mallory.jsonld -k ./privatekeys.jsonld -d ./signed-residence.jsonld -i 'http://example.org/alice#key-1' --challenge 'test-challenge' -o ./mallory-presentation.jsonld
+status=0
+node bin.js verify-presentation -c ./alice.jsonld -d ./mallory-presentation.jsonld --challenge 'test-challenge' || status=$?
+if [ "$status" -ne 4 ]; then
+  echo "Presentation whose holder does not match the signing CID should fail with exit code 4, got $status"
+  exit 1
+fi
+
+# Issue a revocation status list, allocate entries in it and check that revocation is enforced
+node ./bin.js create-status-list -c ./alice.jsonld -k ./privatekeys.jsonld -i 'http://example.org/alice#key-1' --id 'http://example.org/alice/status/revocation' --created '2025-01-01T00:00:00Z' -o ./revocation-list.jsonld
+if ! grep -q '"validFrom": "2025-01-01T00:00:00.000Z"' ./revocation-list.jsonld; then
+  echo "Status list is not valid from its creation time"
+  exit 1
+fi
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./status-signed-residence.jsonld -i 'http://example.org/alice#key-1' --status-list ./revocation-list.jsonld
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./status-bbs-signed-residence.jsonld -i 'http://example.org/alice#key-2' --status-list ./revocation-list.jsonld
+node ./bin.js derive-proof -d ./status-bbs-signed-residence.jsonld -r '/credentialSubject/givenName' -o ./status-derived-residence.jsonld
+
+# Serve the status list to the document loader
+write_status_lists() {
+  node -e "const fs = require('fs'); const list = JSON.parse(fs.readFileSync('./revocation-list.jsonld', 'utf8')); fs.writeFileSync('./status-lists.json', JSON.stringify({ [list.id]: list }));"
+}
+write_status_lists
+node bin.js verify-credential -c ./alice.jsonld -d ./status-signed-residence.jsonld --document-loader-content ./status-lists.json
+node bin.js verify-credential -c ./alice.jsonld -d ./status-derived-residence.jsonld --document-loader-content ./status-lists.json
+
+node ./bin.js revoke -l ./revocation-list.jsonld -c ./alice.jsonld -k ./privatekeys.jsonld -i 'http://example.org/alice#key-1' -d ./status-derived-residence.jsonld
+write_status_lists
+node bin.js verify-credential -c ./alice.jsonld -d ./status-signed-residence.jsonld --document-loader-content ./status-lists.json
+status=0
+node bin.js verify-credential -c ./alice.jsonld -d ./status-derived-residence.jsonld --document-loader-content ./status-lists.json || status=$?
+if [ "$status" -ne 6 ]; then
+  echo "Revoked credential should fail verification with exit code 6, got $status"
+  exit 1
+fi
+# A status list that decompresses to more than a few MB is refused rather than inflated
+node -e "const fs = require('fs'); const { gzipSync } = require('zlib'); const { proof, ...list } = JSON.parse(fs.readFileSync('./revocation-list.jsonld', 'utf8')); list.credentialSubject.encodedList = 'u' + gzipSync(Buffer.alloc(64 * 1024 * 1024)).toString('base64url'); fs.writeFileSync('./oversized-list.jsonld', JSON.stringify(list));"
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./oversized-list.jsonld -o ./oversized-signed-list.jsonld -i 'http://example.org/alice#key-1'
+node -e "const fs = require('fs'); const list = JSON.parse(fs.readFileSync('./oversized-signed-list.jsonld', 'utf8')); fs.writeFileSync('./oversized-status-lists.json', JSON.stringify({ [list.id]: list }));"
+status=0
+node bin.js verify-credential -c ./alice.jsonld -d ./status-signed-residence.jsonld --document-loader-content ./oversized-status-lists.json 2> ./oversized-list.log || status=$?
+if [ "$status" -ne 6 ]; then
+  echo "Credential whose status list decompresses to too many bytes should fail verification with exit code 6, got $status"
+  exit 1
+fi
+grep -q 'decompresses to more than' ./oversized-list.log
+
+# Bundle the contexts of the credentials so that they can be signed and verified offline, with the
+# bundle and the status lists read from a directory of document loader content
+node bin.js contexts bundle -d ./mocks,./status-signed-residence.jsonld -o ./context-bundle.json
+mkdir -p ./offline-content
+cp ./context-bundle.json ./status-lists.json ./offline-content/
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./offline-signed-residence.jsonld -i 'http://example.org/alice#key-1' --document-loader-content ./context-bundle.json --offline
+node bin.js verify-credential -c ./alice.jsonld -d ./offline-signed-residence.jsonld --document-loader-content ./context-bundle.json --offline
+node bin.js verify-credential -c ./alice.jsonld -d ./status-signed-residence.jsonld --document-loader-content ./offline-content --offline
+if node bin.js verify-credential -c ./alice.jsonld -d ./status-signed-residence.jsonld --document-loader-content ./context-bundle.json --offline; then
+  echo "Status list should not be fetched offline"
+  exit 1
+fi
+
+# Cache a context from the bundle in a scratch working directory, then detect and prune a tampered entry
+mkdir -p ./cache-test
+(cd ./cache-test && node ../bin.js cache prefetch https://w3id.org/vdl/v2 --document-loader-content ../context-bundle.json)
+(cd ./cache-test && node ../bin.js cache list)
+(cd ./cache-test && node ../bin.js cache verify --context-pins ../context-bundle.json)
+node -e "const fs = require('fs'); const file = './cache-test/.cache/' + require('crypto').createHash('sha256').update('https://w3id.org/vdl/v2').digest('hex') + '.json'; const entry = JSON.parse(fs.readFileSync(file, 'utf8')); entry.document['@context'].tampered = 'https://example.org/tampered'; fs.writeFileSync(file, JSON.stringify(entry));"
+if (cd ./cache-test && node ../bin.js cache verify); then
+  echo "Tampered cache entry should not verify"
+  exit 1
+fi
+(cd ./cache-test && node ../bin.js cache prune)
+(cd ./cache-test && node ../bin.js cache clear)
+
+# Contexts pinned by hash must match wherever they are loaded from
+node bin.js verify-credential -c ./alice.jsonld -d ./offline-signed-residence.jsonld --context-pins ./context-bundle.json
+node -e "require('fs').writeFileSync('./wrong-context-pins.json', JSON.stringify({ 'https://www.w3.org/ns/credentials/v2': '0'.repeat(64) }))"
+status=0
+node bin.js verify-credential -c ./alice.jsonld -d ./offline-signed-residence.jsonld --context-pins ./wrong-context-pins.json || status=$?
+if [ "$status" -ne 3 ]; then
+  echo "Credential should fail verification with exit code 3 when a context does not match its pinned hash, got $status"
+  exit 1
+fi
+
+# Validate credentials against the schemas their credentialSchema declares, resolved through the document loader
+cat > ./schema-loader.json <<'EOF'
+{
+  "https://example.org/schemas/residence.json": {
+    "$schema": "https://json-schema.org/draft/2020-12/schema",
+    "type": "object",
+    "required": ["credentialSubject"],
+    "properties": {
+      "credentialSubject": {
+        "type": "object",
+        "required": ["givenName", "familyName"],
+        "properties": {
+          "givenName": { "type": "string" },
+          "birthDate": { "type": "string", "format": "date-time" }
+        }
+      }
+    }
+  },
+  "https://example.org/schemas/residence-credential.json": {
+    "@context": ["https://www.w3.org/ns/credentials/v2"],
+    "type": ["VerifiableCredential", "JsonSchemaCredential"],
+    "issuer": "did:example:alice",
+    "credentialSubject": {
+      "id": "https://example.org/schemas/residence",
+      "type": "JsonSchema",
+      "jsonSchema": {
+        "$schema": "http://json-schema.org/draft-07/schema#",
+        "type": "object",
+        "required": ["type", "validFrom"]
+      }
+    }
+  }
+}
+EOF
+node -e "const fs = require('fs'); const credential = JSON.parse(fs.readFileSync('./mocks/residence.jsonld', 'utf8')); credential.credentialSchema = [{ id: 'https://example.org/schemas/residence.json', type: 'JsonSchema' }, { id: 'https://example.org/schemas/residence-credential.json', type: 'JsonSchemaCredential' }]; fs.writeFileSync('./schema-residence.jsonld', JSON.stringify(credential)); credential.credentialSubject.givenName = 42; fs.writeFileSync('./schema-invalid-residence.jsonld', JSON.stringify(credential));"
+node bin.js validate-schema -d ./schema-residence.jsonld --document-loader-content ./schema-loader.json
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./schema-residence.jsonld -o ./schema-signed-residence.jsonld -i 'http://example.org/alice#key-1' --document-loader-content ./schema-loader.json
+node bin.js verify-credential -c ./alice.jsonld -d ./schema-signed-residence.jsonld --document-loader-content ./schema-loader.json
+if node bin.js validate-schema -d ./schema-invalid-residence.jsonld --document-loader-content ./schema-loader.json; then
+  echo "Credential that does not match its schema should not validate"
+  exit 1
+fi
+if node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./schema-invalid-residence.jsonld -o ./schema-invalid-signed-residence.jsonld -i 'http://example.org/alice#key-1' --document-loader-content ./schema-loader.json; then
+  echo "Credential that does not match its schema should not be signed"
+  exit 1
+fi
+# A schema that changed after signing fails verification with exit code 7
+node -e "const fs = require('fs'); const loader = JSON.parse(fs.readFileSync('./schema-loader.json', 'utf8')); loader['https://example.org/schemas/residence.json'].properties.credentialSubject.required.push('nickname'); fs.writeFileSync('./strict-schema-loader.json', JSON.stringify(loader)); fs.writeFileSync('./strict-schema.json', JSON.stringify(loader['https://example.org/schemas/residence.json']));"
+status=0
+node bin.js verify-credential -c ./alice.jsonld -d ./schema-signed-residence.jsonld --document-loader-content ./strict-schema-loader.json || status=$?
+if [ "$status" -ne 7 ]; then
+  echo "Credential that no longer matches its schema should fail verification with exit code 7, got $status"
+  exit 1
+fi
+if node bin.js validate-schema -d ./signed-residence.jsonld -s ./strict-schema.json; then
+  echo "Credential should not validate against a schema it does not match"
+  exit 1
+fi
+
+# Validate credential graphs against SHACL shapes, alone, as a directory, and before signing
+cat > ./residence-shapes.ttl <<'EOF'
+@prefix sh: <http://www.w3.org/ns/shacl#> .
+@prefix cred: <https://www.w3.org/2018/credentials#> .
+@prefix citizenship: <https://w3id.org/citizenship#> .
+@prefix schema: <https://schema.org/> .
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+@prefix ex: <https://example.org/shapes#> .
+
+ex:ResidentCardShape a sh:NodeShape ;
+  sh:targetClass citizenship:PermanentResidentCardCredential ;
+  sh:property [ sh:path cred:credentialSubject ; sh:minCount 1 ; sh:node ex:SubjectShape ] .
+
+ex:SubjectShape a sh:NodeShape ;
+  sh:property [ sh:path schema:givenName ; sh:minCount 1 ; sh:datatype xsd:string ] .
+EOF
+sed 's/schema:givenName/schema:nickname/' ./residence-shapes.ttl > ./strict-residence-shapes.ttl
+node bin.js validate-shacl --shapes ./residence-shapes.ttl -d ./signed-residence.jsonld | grep -q "sh:conforms true"
+node bin.js validate-shacl --shapes ./residence-shapes.ttl -d ./mocks --format json | grep -q '"conforms": true'
+node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./shacl-signed-residence.jsonld -i 'http://example.org/alice#key-1' --shacl-shapes ./residence-shapes.ttl
+if node bin.js validate-shacl --shapes ./strict-residence-shapes.ttl -d ./shacl-signed-residence.jsonld > ./shacl-report.ttl; then
+  echo "Credential without a nickname should not conform to the strict shapes"
+  exit 1
+fi
+grep -q "sh:MinCountConstraintComponent" ./shacl-report.ttl
+if node ./bin.js sign-credential --cid ./alice.jsonld -k ./privatekeys.jsonld -d ./mocks/residence.jsonld -o ./shacl-invalid-signed-residence.jsonld -i 'http://example.org/alice#key-1' --shacl-shapes ./strict-residence-shapes.ttl; then
+  echo "Credential that does not conform to the SHACL shapes should not be signed"
+  exit 1
+fi
 
 node bin.js generate 
 
+node bin.js generate -c 'did:example:alice' -s ed25519 --cryptosuite eddsa-rdfc-2022 -o ./generate-rdfc
+
+node bin.js generate -c 'did:example:alice' -s ecdsa,ecdsa-sd -o ./generate-ecdsa --collect
+
 node bin.js generate  -o ./generate-distributed --distribute --collect
 
+# Generate with a reveal spec per credential
+echo '{"residence": "credentialSubject.givenName", "*": "credentialSubject.*"}' > ./reveal-specs.json
+node bin.js generate -c 'did:example:alice' -s bbs -d ./mocks/residence.jsonld -o ./generate-reveal --reveal-spec-file ./reveal-specs.json --no-preprocess
+grep -q '"givenName"' ./generate-reveal/derived/residence-alice-derived.jsonld
+if grep -q '"familyName"' ./generate-reveal/derived/residence-alice-derived.jsonld; then
+  echo "Generate should derive with the reveal spec of the credential"
+  exit 1
+fi
+
 node bin.js collect -d ./generated -o generated.ttl
 node bin.js collect -d ./generate-distributed -o generated-distributed.ttl
 
+# Collect into other formats, keeping proofs as named graphs, and canonicalize so collections can be diffed
+node bin.js collect -d ./generate-distributed -o generated-distributed.nq --include-proofs --canonicalize
+node bin.js collect -d ./generate-distributed -o generated-distributed-again.nq --include-proofs --canonicalize
+cmp generated-distributed.nq generated-distributed-again.nq
+grep -q "<https://w3id.org/security#proof> _:c14n" generated-distributed.nq
+grep -q "<https://w3id.org/security#proofValue>" generated-distributed.nq
+node bin.js collect -d ./generate-distributed -o generated-distributed.trig --include-proofs
+grep -q "sec:proofValue" generated-distributed.trig
+node bin.js collect -d ./generate-distributed -o generated-distributed-collected.jsonld
+node bin.js collect -d ./generate-distributed -o generated-distributed.txt --format nquads --canonicalize
+if grep -q "proofValue" generated-distributed.txt; then
+  echo "Collected documents should not include proofs without --include-proofs"
+  exit 1
+fi
+if node bin.js collect -d ./generate-distributed -o generated-distributed-proofs.ttl --include-proofs; then
+  echo "Turtle cannot hold proof graphs"
+  exit 1
+fi
+
 npx rdf-dereference generated.ttl > generated-dereferenced.ttl
 npx rdf-dereference generated-distributed.ttl > generated-distributed-dereferenced.ttl
 npx rdf-dereference ./generate-distributed/collected.ttl > generated-distributed-collected-dereferenced.ttl
+npx rdf-dereference generated-distributed.trig > generated-distributed-trig-dereferenced.nq